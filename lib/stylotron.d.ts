@@ -0,0 +1,435 @@
+/*
+ * stylotron.d.ts: type declarations for stylotron.js (see comments in stylotron.js for the full API)
+ */
+
+/* a range of text, 'start' inclusive, 'end' exclusive */
+export interface Range {
+  start: number;
+  end: number;
+}
+
+/* capture groups of the regex match a range came from (used by htmlattrs templates), 'data' of a 'match' range */
+export interface MatchData {
+  captures?: (string | undefined)[];
+  named?: { [name: string]: string | undefined };
+  data?: unknown;
+}
+
+/* original range a segment was synthesized from; 'setindex' numbers the ranges added with a set */
+export interface OrigRange extends Range, MatchData {
+  setindex?: number;
+  atomic?: boolean;
+  marker?: boolean;
+}
+
+/* one layer of a segment: the set (CSS class) and original range it came from */
+export interface Orig {
+  setname: string;
+  range: OrigRange;
+}
+
+/* a segment of a map, 'origs' are ordered from background to foreground */
+export interface Segment {
+  range: Range;
+  origs: Orig[];
+}
+
+/* SOT.text.map: flat, ordered array of segments */
+export type MarkupMap = Segment[];
+
+/* htmlattrs value: string (may include '$_&', '$1'..'$9', '$<name>'), or regex that extracts the value from matched text */
+export type AttrValue = string | RegExp;
+
+export interface DefOpts {
+  htmltag?: string;
+  htmltagend?: string;
+  htmlattrs?: { [attr: string]: AttrValue };
+  priority?: number;
+  atomic?: boolean;
+  overwrite?: boolean;
+  marker?: boolean;
+  display?: string | ((params: DisplayParams) => string);
+}
+
+/* params of a 'display' function, the match a layer came from */
+export interface DisplayParams extends MatchData {
+  text: string;
+  class: string;
+  range: OrigRange;
+}
+
+/* replacement text, or a function of the match a range came from (see SOT.text.replacement) */
+export type Replacer = string | ((match: RegExpMatchArray, groups: { [name: string]: string | undefined } | undefined, range: Range & MatchData) => string);
+
+export interface ReplaceOpts {
+  groups?: boolean;
+}
+
+/* capture group classes, {1: 'cls1', name: 'cls2', ...} */
+export interface Groups {
+  [group: string]: string;
+}
+
+/* vetoes a regex match, 'text' is the text the regex was run on */
+export type MatchFilter = (match: RegExpMatchArray, text: string) => boolean;
+
+export interface RegexDef extends DefOpts {
+  regex: RegExp | string;
+  groups?: Groups;
+  within?: string | string[];
+  notwithin?: string | string[];
+  filter?: MatchFilter;
+}
+
+/* range returned by a 'match' function, 'data' is passed to the markup callback */
+export interface FuncRange extends Range {
+  data?: unknown;
+}
+/* (any iterable of ranges works, typed as an array so the declarations don't need an ES2015 lib) */
+export type MatchFunction = (text: string) => FuncRange[] | null | undefined;
+
+/* matches from a function instead of a regex (see SOT.markup) */
+export interface MatchDef extends DefOpts {
+  match: MatchFunction;
+  within?: string | string[];
+  notwithin?: string | string[];
+}
+
+/* range of a regex match (see SOT.text.map.matchranges), 'groups' has one entry per key of Groups */
+export interface MatchRange extends Range, MatchData {
+  groups?: (Range | null)[];
+}
+
+export interface RangeDef extends DefOpts {
+  range: Range;
+}
+
+/* region from a 'begin' match through the next 'end' match, regions of a series never overlap */
+export interface RegionDef extends DefOpts {
+  begin: RegExp | string;
+  end?: RegExp | string;
+  patterns?: Patterns;
+}
+
+/* a def is a regex, a regex string ("/.+/g" or a literal), or an object with a regex, region or range */
+export type Def = RegExp | string | RegexDef | MatchDef | RegionDef | RangeDef;
+
+/* patterndefs: {class: def, ...}, applied in order */
+export interface PatternDefs {
+  [cls: string]: Def;
+}
+
+/* entry of the array form of patterndefs, [{class: .., regex: .., ...}, ...] */
+export type PatternEntry = (RegexDef | MatchDef | RegionDef | RangeDef) & { class: string };
+
+export type Patterns = PatternDefs | PatternEntry[] | JSONPatterns;
+
+/* JSON pattern series (see SOT.json), regex's are strings ("/.+/g") */
+export type JSONAttrValue = string | { regex: string };
+export interface JSONPatternEntry {
+  class: string;
+  regex?: string;
+  begin?: string;
+  end?: string;
+  patterns?: JSONPatternEntry[];
+  range?: Range;
+  htmltag?: string;
+  htmltagend?: string;
+  htmlattrs?: { [attr: string]: JSONAttrValue };
+  groups?: { [group: string]: string };
+  within?: string | string[];
+  notwithin?: string | string[];
+  priority?: number;
+  atomic?: boolean;
+  overwrite?: boolean;
+  marker?: boolean;
+  display?: string;
+}
+export interface JSONPatterns {
+  stylotron?: number;
+  patterns: JSONPatternEntry[];
+}
+export interface JSONError {
+  path: string;
+  reason: string;
+}
+
+/* allowlists for safe markup, a missing list defaults to SOT.map.safetags / SOT.map.safeattrs */
+export interface SafeOpts {
+  tags?: string[];
+  attrs?: string[];
+}
+
+/* the parts of a DOM document SOT.map.nodes uses (a browser's document, jsdom..), no DOM is needed otherwise */
+export interface DocumentLike {
+  createDocumentFragment(): FragmentLike;
+  createElement(tag: string): ElementLike;
+  createTextNode(text: string): object;
+}
+export interface ElementLike {
+  appendChild(node: object): unknown;
+  setAttribute(name: string, value: string): void;
+  classList: { add(token: string): void };
+}
+export interface FragmentLike {
+  appendChild(node: object): unknown;
+  normalize(): void;
+}
+
+export interface MarkupOpts {
+  htmltag?: string;
+  document?: DocumentLike | null;
+  safe?: boolean | SafeOpts;
+  overlayranges?: boolean;
+  static?: boolean;
+  window?: Range;
+}
+
+export interface MarkupCallbackParams {
+  attrs: { [attr: string]: string };
+  class: string;
+  map: MarkupMap;
+  mapindex: number;
+  layerindex: number;
+  data?: unknown;
+  opts?: MarkupOpts;
+}
+
+/* lightweight node tree built by SOT.map.nodes when there is no document */
+export interface TreeElement {
+  tag: string;
+  attrs: { [attr: string]: string };
+  children: TreeNode[];
+}
+export type TreeNode = TreeElement | string;
+export type Nodes = FragmentLike | { children: TreeNode[] };
+
+export interface MapVisitor {
+  open(layer: Orig, segrange: Range, mapindex: number, layerindex: number): void;
+  text(text: string, segrange: Range | null, mapindex: number): void;
+  close(layer: Orig, segrange: Range, mapindex: number, layerindex: number): void;
+}
+
+/* nested JSON tree of a map (SOT.map.totree) */
+export interface SyntaxText {
+  text: string;
+  range: Range;
+}
+export interface SyntaxElement {
+  class: string;
+  tag: string;
+  range: OrigRange;
+  span: Range;
+  L: boolean;
+  R: boolean;
+  children: SyntaxNode[];
+}
+export type SyntaxNode = SyntaxElement | SyntaxText;
+export interface SyntaxTree {
+  range: Range;
+  children: SyntaxNode[];
+}
+
+/* renders a map in a non-HTML format (SOT.map.render) */
+export interface Renderer {
+  open(layer: Orig, segrange: Range): string;
+  close(layer: Orig, segrange: Range): string;
+  text(text: string): string;
+}
+export type MarkdownStyle = string | { open: string; close: string } | { fence: string };
+export type LatexMacro = string | { open: string; close: string };
+
+/* text and map recovered from markup (SOT.map.parse) */
+export interface ParsedMarkup {
+  text: string;
+  map: MarkupMap;
+  defs: { [cls: string]: DefOpts };
+  attrs: { [clsandsetindex: string]: { [attr: string]: string } };
+}
+export interface RoundTrip {
+  ok: boolean;
+  text: string;
+  map: MarkupMap;
+  divergence?: { pos: number; html: string; markup: string };
+}
+
+/* changes between two maps, per set (see SOT.text.map.diff) */
+export interface MapDiff {
+  added: { [setname: string]: OrigRange[] };
+  removed: { [setname: string]: OrigRange[] };
+  changed: { [setname: string]: { from: OrigRange; to: OrigRange }[] };
+  map: MarkupMap;
+}
+
+export type MarkupCallback = (params: MarkupCallbackParams) => { [attr: string]: string };
+
+export type OverBudgetCallback = (params: { class: string; elapsed: number }) => void;
+
+export function markup(text: string, defs: Patterns, opts?: MarkupOpts, callback?: MarkupCallback): string;
+export function markupAsync(text: string, defs: Patterns, opts?: MarkupOpts, callback?: MarkupCallback, worker?: MapWorker): Promise<string>;
+
+export class PatternSeries {
+  constructor();
+  requiredregexflags: string;
+  updateboundary: string;
+  timebudget: number;
+  get(cls: string): RegexDef | RegionDef | RangeDef | undefined;
+  addregexstr(regexstr: string, cls: string, reqflags?: string, defin?: object, alertiferror?: boolean): RegExp | null;
+  addregex(regex: RegExp | string, cls: string, reqflags?: string): void;
+  addrange(range: Range, cls: string): true | undefined;
+  add(defs: Patterns): void;
+  del(cls: string): true | undefined;
+  delregexs(): void;
+  delranges(): void;
+  clear(): void;
+  moveafter(cls: string, othercls: string | null): true | undefined;
+  movebefore(cls: string, othercls: string | null): true | undefined;
+  order(): string[];
+  loadjson(json: string | JSONPatterns | JSONPatternEntry[]): JSONError[];
+  tojson(): { json: JSONPatterns; errors: JSONError[] };
+  buildmatchesmap(text: string, map?: MarkupMap): MarkupMap;
+  buildrangesmap(text: string, map?: MarkupMap): MarkupMap;
+  buildmap(text: string, map?: MarkupMap, overlayranges?: boolean): MarkupMap;
+  updatemap(map: MarkupMap, oldtext: string, newtext: string, editrange?: Range): MarkupMap;
+  setmarkupcallback(callback: MarkupCallback): MarkupCallback;
+  markupdefs(): { [cls: string]: DefOpts };
+  markupmap(text: string, map: MarkupMap, opts?: MarkupOpts): string;
+  markup(text: string, map?: MarkupMap, opts?: MarkupOpts): string;
+  render(text: string, renderer: Renderer, map?: MarkupMap): string;
+  markupmapnodes(text: string, map: MarkupMap, opts?: MarkupOpts): Nodes;
+  markupnodes(text: string, map?: MarkupMap, opts?: MarkupOpts): Nodes;
+  setnames(): string[];
+  setoverbudgetcallback(callback: OverBudgetCallback): OverBudgetCallback;
+  overbudget(): { [cls: string]: number };
+  enable(cls: string): true | undefined;
+}
+
+/* builds matches maps in a Web Worker (on the main thread where Workers aren't available) */
+export class MapWorker {
+  constructor(url?: string);
+  static url: string;
+  static markuponly: RegExp;
+  static serve(scope: { addEventListener(type: 'message', listener: (e: { data: unknown }) => void): void; postMessage(msg: unknown): void }): void;
+  buildmap(text: string, patterns: PatternSeries): Promise<MarkupMap>;
+  terminate(): void;
+}
+
+export function mapworker(): MapWorker;
+export namespace mapworker {
+  let worker: MapWorker | undefined;
+}
+
+export const map: {
+  safetags: string[];
+  safeattrs: string[];
+  urlattrs: string[];
+  safeschemes: string[];
+  markup(text: string, map: MarkupMap, opts?: MarkupOpts, defs?: { [cls: string]: DefOpts }, callback?: MarkupCallback): string;
+  nodes(text: string, map: MarkupMap, opts?: MarkupOpts, defs?: { [cls: string]: DefOpts }, callback?: MarkupCallback): Nodes;
+  walk(text: string, map: MarkupMap, visitor: MapVisitor, win?: Range): void;
+  totree(text: string, map: MarkupMap, opts?: MarkupOpts, defs?: { [cls: string]: DefOpts }): SyntaxTree;
+  fromtree(tree: SyntaxTree): { text: string; map: MarkupMap };
+  render(text: string, map: MarkupMap, renderer: Renderer): string;
+  voidtags: string[];
+  parse(html: string): ParsedMarkup;
+  roundtrip(html: string): RoundTrip;
+  renderers: {
+    ansi(styles: { [cls: string]: string }): Renderer;
+    markdown(styles: { [cls: string]: MarkdownStyle }): Renderer;
+    latex(macros: { [cls: string]: LatexMacro }): Renderer;
+  };
+};
+
+export const text: {
+  str2regex(regexstr: string, flags?: string): RegExp;
+  parseregexstr(str: string, reqflags?: string): { pattern: string | null; flags?: string };
+  regexstr2regex(str: string, reqflags?: string): RegExp;
+  raw2HTML(text: string): string;
+  raw2attr(text: string): string;
+  fillmatch(template: string, matched: string, captures?: (string | undefined)[], named?: { [name: string]: string | undefined }): string;
+  startswith(s: string, sub: string): boolean;
+  extract(s: string, substr: RegExp | string): string | null;
+  extractto(s: string, sub: RegExp | string): string;
+  advance(text: string, start: number, end: number, unicode?: boolean): number;
+  diffrange(oldtext: string, newtext: string): Range;
+  paste(text: string, range: Range & MatchData, replacewith: Replacer, opts?: ReplaceOpts): string;
+  replacement(text: string, r: Range & MatchData, replacewith: Replacer, opts?: ReplaceOpts): string;
+  expandreplacement(replacewith: string, matched: string, captures?: (string | undefined)[], named?: { [name: string]: string | undefined }): string;
+  map: {
+    range: {
+      neworigs(setname: string, range?: OrigRange): Orig[];
+      mk(start: number, end: number, origs: Orig[]): Segment;
+      copy(r: Range & { origs: Orig[] }): Segment;
+      isposin(pos: number, map: MarkupMap, i: number): boolean;
+      next(pos: number, map: MarkupMap): number;
+      before(pos: number, map: MarkupMap): number;
+      after(pos: number, map: MarkupMap): number;
+      nearest(pos: number, map: MarkupMap): number;
+      atpos(pos: number, map: MarkupMap): number;
+    };
+    query: {
+      layersat(pos: number, map: MarkupMap): Orig[];
+      classesat(pos: number, map: MarkupMap): string[];
+      innermost(pos: number, map: MarkupMap, setname?: string): Orig | null;
+      outermost(pos: number, map: MarkupMap, setname?: string): Orig | null;
+      ranges(map: MarkupMap, setname: string): OrigRange[];
+      parents(map: MarkupMap, layer: Orig): Orig[];
+      children(map: MarkupMap, layer: Orig): Orig[];
+      counts(map: MarkupMap): { [setname: string]: number };
+    };
+    addmatches(text: string, regex: RegExp | MatchFunction, setname: string, segment?: boolean, map?: MarkupMap, alertiferror?: boolean, groups?: Groups, filter?: MatchFilter): MarkupMap;
+    setranges(map: MarkupMap, setname: string): OrigRange[];
+    slice(map: MarkupMap, start: number, end: number): MarkupMap;
+    scoperanges(text: string, map: MarkupMap, within?: string | string[], notwithin?: string | string[]): Range[];
+    matchrangesin(text: string, regex: RegExp | MatchFunction, scope: Range[], groups?: Groups, deadline?: number, filter?: MatchFilter): MatchRange[];
+    regionranges(text: string, regions: { setname?: string; begin: RegExp | string; end?: RegExp | string }[], budget?: number): Range[][];
+    addgroupranges(text: string, ranges: MatchRange[], groups: Groups, segment?: boolean, map?: MarkupMap): MarkupMap;
+    addrange(text: string, range: Range, setname: string, segment?: boolean, map?: MarkupMap): MarkupMap;
+    addranges(text: string, ranges: Range[], setname: string, segment?: boolean, map?: MarkupMap): MarkupMap;
+    addatomicranges(text: string, ranges: Range[], setname: string, map?: MarkupMap): MarkupMap;
+    addmarkers(text: string, ranges: (Range | { start: number })[], setname: string, map?: MarkupMap): MarkupMap;
+    atomicranges(map: MarkupMap): OrigRange[];
+    clipranges<R extends Range>(ranges: R[], clips: Range[]): R[];
+    matchranges(text: string, regex: RegExp | MatchFunction, groups?: Groups, deadline?: number, filter?: MatchFilter): MatchRange[];
+    funcranges(text: string, match: MatchFunction, deadline?: number): MatchRange[];
+    updateranges(ranges: MatchRange[], oldtext: string, newtext: string, regex: RegExp, editrange: Range, boundary?: string, groups?: Groups, deadline?: number, filter?: MatchFilter): MatchRange[];
+    union(text: string, map1: MarkupMap, map2: MarkupMap): MarkupMap;
+    intersection(text: string, map1: MarkupMap, map2: MarkupMap): MarkupMap;
+    difference(text: string, map1: MarkupMap, map2: MarkupMap): MarkupMap;
+    diff(text: string, map1: MarkupMap, map2: MarkupMap, oldtext?: string): MapDiff;
+    replaceall(text: string, map: MarkupMap, replacewiths: { [setname: string]: Replacer }, opts?: ReplaceOpts): string;
+    replace(text: string, map: MarkupMap, i: number, newtext: Replacer, opts?: ReplaceOpts): string;
+  };
+};
+
+export const json: {
+  version: number;
+  options: string[];
+  todefs(json: string | JSONPatterns | JSONPatternEntry[]): { defs: PatternEntry[]; errors: JSONError[] };
+  fromdefs(defs: PatternDefs | PatternEntry[]): { json: JSONPatterns; errors: JSONError[] };
+};
+
+export interface LintProblem {
+  class: string;
+  severity: 'error' | 'warning' | 'info';
+  message: string;
+}
+
+export function lint(patterndefs: Patterns): LintProblem[];
+export namespace lint {
+  let sampletext: string;
+}
+
+declare const SOT: {
+  markup: typeof markup;
+  markupAsync: typeof markupAsync;
+  PatternSeries: typeof PatternSeries;
+  MapWorker: typeof MapWorker;
+  mapworker: typeof mapworker;
+  map: typeof map;
+  text: typeof text;
+  json: typeof json;
+  lint: typeof lint;
+  onerror: (e: unknown) => void;
+};
+export default SOT;
@@ -5,6 +5,11 @@
  *   SOT.PatternSeries:   abstraction of a pattern series, produces SOT.text.maps and layered html
  *
  *   single step markup:  html = SOT.markup( text, patterndefs )
+ *                        html = await SOT.markupAsync( text, patterndefs )   (map built in a Web Worker)
+ *
+ * Can be loaded with a <script> tag (defines global SOT) or imported as a module (no DOM required):
+ *   const SOT = require( 'stylotron' )                     (CommonJS)
+ *   import { markup, PatternSeries } from 'stylotron'     (ES module, see stylotron.mjs)
  *
  * stylotron-demo.html provides tutorial and example of use
  *
@@ -13,19 +18,77 @@
 
 const SOT = {};
 
+/*
+ *  SOT.onerror( e )
+ *    called with regex errors when 'alertiferror' is set (see addregexstr, addmatches)
+ *    alerts in browsers, logs to console elsewhere; replace to redirect error reports
+ */
+SOT.onerror = function( e ) {
+  if (typeof alert == 'function')
+    alert( e );
+  else
+    console.error( e );
+}
+
 /*
  *  html = SOT.markup( text, patterndefs )
  *    marks up matches of of a pattern series, returns html
  *
- *    patterndefs = {def...}
+ *    patterndefs = {def...}, or an array [{'class': .., def...}, ...]
  *      each def is one of these:
  *        'class': regex or string
  *          matches of each regex (or string) are styled with 'class'
  *        'class': {'regex': .., ..opts..}
+ *        'class': {'match': function( text ), ..opts..}
+ *        'class': {'begin': regex, 'end': regex, 'patterns': {def...}, ..opts..}
  *        'class': {'range': {'start': .., 'end': ..}, ..opts..}
  *      opts can include:
  *        htmltag: ..
  *        htmlattrs: {...}
+ *        groups: {1:'cls1', 2:'cls2', name:'cls3', ...}
+ *        within: 'cls' or ['cls', ...]
+ *        notwithin: 'cls' or ['cls', ...]
+ *        filter: function( match, text )
+ *        priority: number
+ *        atomic: true
+ *        overwrite: true
+ *        marker: true
+ *        display: 'text' or function( params )
+ *
+ *  defs are applied in order, so later defs are layered over earlier ones
+ *    in the array form the order is the array order, entries are {'class': .., 'regex': .., ..opts..} (or begin/range)
+ *      (in the object form, integer-like class names like '2' are moved to the front by javascript)
+ *    'priority' (0 by default) places a def among those already in the series: after the ones with the same
+ *      or lower priority and before the ones with a higher priority (re-adding a class moves it only if it changes)
+ *
+ *  'groups' styles capture groups (numbered or named) of each match with their own classes
+ *    group ranges are added after (nested inside) the whole match, in key order (numbered groups first)
+ *    (unmatched and empty groups are skipped)
+ *
+ *  'begin'/'end' defs are regions (strings, comments, etc.) that run from a 'begin' match through the next 'end' match
+ *    (or the end of text); regions are scanned together and are mutually exclusive: text inside a region
+ *    can't begin another one, and where regions could begin at the same position the def listed first wins
+ *    without 'end', a region is just the 'begin' match (useful for constructs a single regex can match)
+ *    optional 'patterns' is a pattern series applied inside each region (to the region's text only)
+ *    regions produce ordinary ranges, nested in the order of their defs like any other pattern
+ *
+ *  'within' runs the regex only over the ranges already produced (by defs earlier in the series) for the class(es)
+ *  'notwithin' runs it only over the text outside of them
+ *    (the regex sees only the text of each of those ranges, so ^, $ and lookarounds stop at their ends)
+ *
+ *  'match' is an alternative to 'regex' for matches a single regex can't express (balanced brackets, words from a
+ *    runtime set..): match( text ) returns an iterable of ranges {start: .., end: .., data: ..}
+ *    ranges are ordered by start and ones that overlap an earlier range are dropped, as with regex matches
+ *      ('groups' don't apply, 'within'/'notwithin' do: the function is called with the text of each scope range)
+ *    optional 'data' (any value) is kept with the range and passed to the markup callback and 'display' functions
+ *    the ranges are cached per text (see patterns.buildmap), use a new function when the results would change
+ *    an error thrown by a 'match' or 'filter' function is reported through SOT.onerror, the def gets no ranges
+ *    example: {match: text => [...text.matchAll(/\w+/g)].filter( m => people.has(m[0]) )
+ *                               .map( m => ({start: m.index, end: m.index+m[0].length, data: people.get(m[0])}) )}
+ *  'filter' vetoes individual regex matches: filter( match, text ) gets the regex match (array) and the text the
+ *    regex was run on, matches it returns false for are dropped
+ *    example: {regex: /\b\d{13}\b/g, filter: m => isbn13( m[0] )}
+ *  ('match' and 'filter' functions have no JSON form, see SOT.json)
  *
  *  strings can be full regex's like "/.+/g" (a string without slashes in the right places is a literal)
  *  regex's must include 'g' flag or pattern is ignored ('g' is added to regex strings if needed)
@@ -34,9 +97,29 @@ const SOT = {};
  *  ranges are overlaid (applied last) by default, use opts={overlayranges:false} to apply ranges in order
  *    (the logic for the default is that ranges are usually types of selections, which are typically overlaid)
  *
+ *  'atomic' ranges are never segmented, so each one is marked up as a single element (images, form controls, etc.):
+ *    layers that contain an atomic range stay outside it, earlier layers that only partly overlap it are nested inside it
+ *    later regex/region matches are clipped around atomic ranges (the text inside them isn't marked up by later defs),
+ *      and later atomic matches that overlap one are dropped
+ *  'overwrite' ranges usurp the segments they overlap instead of being layered over them (see SOT.text.map._overwrite)
+ *  'marker' defs mark a point: an empty element is inserted at the start of each match (or range), without consuming
+ *    text, so the regex is usually zero-width (lookarounds, anchors, \b..)
+ *    example: {regex: /^(?=#)/gm, marker: true, htmltag: 'a', htmlattrs: {name: "h"}}, {regex: /(?<=\/)/g, marker: true,
+ *             htmltag: 'wbr', htmltagend: ''} (void tags like 'wbr' need an empty 'htmltagend')
+ *    a marker is nested in the elements that continue across its position, later defs don't segment around it
+ *      (markers inside 'atomic' ranges are dropped)
+ *  'display' replaces the text of each match in static markup (opts={static:true}, see SOT.map.markup), the element is kept:
+ *    a string can include the same wildcards as attrs ("" removes the text, "$1" keeps a group), a function gets
+ *      params = {text: matched text, class: .., range: .., captures: [..], named: {..}, data: ..} and returns the text
+ *    example: {regex: /_`|`_/g, display: ""}, {regex: /->/g, display: "\u2192"}
+ *    (nested matches are emptied, the display text of the outermost match wins)
+ *
  *  'htmlattrs' are added to starting tag: htmltag='a', htmlattrs={href:'A',target='B'} produces "<a href='A' target='B'>"
- *    attr strings can include '$_&' replacement wildcard, where $_& == matched text
+ *    attr strings can include replacement wildcards, resolved against the regex match:
+ *      $_& == matched text, $1..$9 == capture group, $<name> == named capture group (unmatched groups are empty)
+ *      example: {regex: /(?<project>\w+)#(?<id>\d+)/g, htmltag: 'a', htmlattrs: {href: "https://tracker/$<project>/$<id>"}}
  *    attr can also be a regex, in which case attr is whatever the regex extracts from matched text
+ *    attr values are HTML-escaped (use opts={safe:true} to also restrict tags and attrs, see SOT.map.markup)
  */
 SOT.markup = function( text, defs, opts, callback ) {
   const patterns = new SOT.PatternSeries();
@@ -46,6 +129,21 @@ SOT.markup = function( text, defs, opts, callback ) {
   return patterns.markup( text, undefined, opts );
 }
 
+/*
+ *  promise = SOT.markupAsync( text, patterndefs, opts, callback, worker=SOT.mapworker() )
+ *    same as SOT.markup, but the map is built in a Web Worker (see SOT.MapWorker), resolves to the html
+ *    (with opts={overlayranges:false} the map is built on the main thread, where ranges can be applied in order)
+ */
+SOT.markupAsync = function( text, defs, opts={overlayranges:true}, callback, worker=SOT.mapworker() ) {
+  const patterns = new SOT.PatternSeries();
+  patterns.add( defs );
+  if (callback)
+    patterns.setmarkupcallback( callback );
+  if (opts.overlayranges === false)
+    return Promise.resolve().then( () => patterns.markup(text, undefined, opts) );
+  return worker.buildmap( text, patterns ).then( map => patterns.markupmap(text, patterns.buildrangesmap(text,map), opts) );
+}
+
 /*
  *  SOT.PatternSeries
  *    registers regex's and ranges with associated CSS classes; produces SOT.text.maps and layered markup
@@ -58,22 +156,97 @@ SOT.markup = function( text, defs, opts, callback ) {
  *    patterns.addrange( range, cls )
  *      adds a range
  *    patterns.add( defs )
- *      adds one or more defs, refer to SOT.map.markup comments
+ *      adds one or more defs ({cls: def, ...} or [{class: cls, ...def}, ...]), refer to SOT.markup comments
+ *      a class that is already in the series keeps its place unless its 'priority' changes
+ *      a JSON pattern series ({patterns: [..]}, see SOT.json) can also be added, its invalid patterns are skipped and
+ *        reported through SOT.onerror (loadjson adds nothing if any is invalid and returns the errors instead)
+ *
+ *    patterns.moveafter( cls, othercls )
+ *      moves 'cls' to right after 'othercls' in the series order (to the front if 'othercls' is null)
+ *    patterns.movebefore( cls, othercls )
+ *      moves 'cls' to right before 'othercls' (to the end if 'othercls' is null)
+ *    classes = patterns.order()
+ *      classes of the defs in the order they are applied
+ *
+ *    errors = patterns.loadjson( json )
+ *      adds the defs of a JSON pattern series (string or parsed), see SOT.json
+ *      nothing is added if there are errors, [{path: 'patterns[2].regex', reason: ..}, ...]
+ *    exported = patterns.tojson()
+ *      the series as a JSON pattern series, {json: {..}, errors: [..]} (see SOT.json.fromdefs)
  *
  *    map = patterns.buildmap( text, map=[], overlayranges=true )
  *      builds a SOT.text.map of 'text'
  *        ('map' can be fed to SOT.map.markup to produce the HTML)
  *      ranges are applied last by default, use overlayranges=false to apply ranges in order
+ *      each regex's matches (and the region scan) are cached for the text they were run on, so rebuilding the same
+ *        text after adding, deleting or reordering defs only re-runs the regex's of the changed defs
+ *        (a 'within'/'notwithin' def is also re-run when its scope changes)
  *    HTML = patterns.markup( text )
  *      marks up defs, see SOT.map.markup
+ *    nodes = patterns.markupnodes( text )
+ *      marks up defs as nodes, see SOT.map.nodes (patterns.markupmapnodes( text, map ) marks up a built map)
+ *    output = patterns.render( text, renderer )
+ *      renders defs in another format (ANSI, Markdown, LaTeX..), see SOT.map.render
+ *
+ *    map = patterns.updatemap( map, oldtext, newtext, editrange )
+ *      updates a matches map (from buildmatchesmap or updatemap) of 'oldtext' after it was edited into 'newtext'
+ *      regex's are re-run only over a window around the edit, the matches after it are shifted
+ *      'editrange' is the replaced range in 'oldtext' ({start:.., end:..}), it is computed when not provided
+ *      the window extends from the 'updateboundary' ("\n\n" by default) before the edit to the one after it,
+ *        regex's that may examine a whole boundary (e.g. [\s\S]*, [^x]*, \s+ or \n\n in a lookbehind, see
+ *        SOT.text.map._confined) are re-run over the whole text, as are 'match' functions, scoped patterns and
+ *        regions, so the more of a series that is, the less it gains from updatemap
+ *      'filter' functions must look only at (or around) their match, not across a boundary
+ *      (falls back to a full rebuild when 'map' is not the most recent map built by this series)
  *
  *    prevcallback = patterns.setmarkupcallback( callback )
  *      see SOT.map.markup for callback spec
  *      callback replaces any other previously set
+ *
+ *    setnames = patterns.setnames()
+ *      names of the sets (classes) the series produces, in order (including groups and region patterns)
+ *
+ *    patterns.timebudget = ms
+ *      time each pattern may take to match a text (1000ms by default, 0 for no limit)
+ *      a pattern that goes over is disabled, its class gets no ranges and the rest of the series is applied as usual
+ *        (a single regex exec can't be interrupted, a catastrophic one is caught when it returns and isn't run again)
+ *      a disabled pattern is enabled again when its regex changes, or by patterns.enable( cls )
+ *    prevcallback = patterns.setoverbudgetcallback( callback )
+ *      callback( {class: cls, elapsed: ms} ) is called when a pattern is disabled
+ *      without a callback, the disabled pattern is reported through SOT.onerror (so it isn't dropped silently)
+ *    disabled = patterns.overbudget()
+ *      patterns disabled for going over budget, {cls: elapsed, ...}
  */
 SOT.PatternSeries = function() {
-  var defs = {};
+  const series = this;
+  /* defs by class, 'order' is the order they are applied in */
+  var defs = {}, order = [];
+  function priority( def ) {
+    return def && def.priority ? def.priority : 0;
+  }
+  /* what a def matches with, its regex or its 'match' function (the regex if it has both) */
+  function matcher( def ) {
+    return def.regex ? def.regex : def.match;
+  }
+  function setdef( cls, def ) {
+    const i = order.indexOf( cls );
+    if (i >= 0 && priority( defs[cls] ) == priority( def ))
+      return defs[cls] = def;
+    if (i >= 0)
+      order.splice( i, 1 );
+    var j = order.length;
+    while( j > 0 && priority(defs[order[j-1]]) > priority(def) )
+      j--;
+    order.splice( j, 0, cls );
+    return defs[cls] = def;
+  }
+  function deldef( cls ) {
+    delete defs[cls];
+    order.splice( order.indexOf(cls), 1 );
+  }
   this.requiredregexflags = 'g';
+  this.updateboundary = "\n\n";
+  this.timebudget = 1000;
   this.get = function( cls ) {
     return defs[cls];
   }
@@ -85,13 +258,10 @@ SOT.PatternSeries = function() {
     }
     catch( e ) {
       if (alertiferror)
-        alert( e );
+        SOT.onerror( e );
       return null;
     }
-    if (defin)
-      defs[cls] = defin;
-    else
-      defs[cls] = {};
+    setdef( cls, defin ? defin : {} );
     defs[cls].regexstr = regexstr, defs[cls].regex = regex;
     return regex;
   }
@@ -100,15 +270,29 @@ SOT.PatternSeries = function() {
       if (typeof regex == 'string')
         this.addregexstr( regex, cls, reqflags );
       else
-        defs[cls] = {'regex':regex};
+        setdef( cls, {'regex':regex} );
   }
   this.addrange = function( range, cls ) {
     if (!defs[cls] || defs[cls].range.start != range.start || defs[cls].range.end != range.end) {
-      defs[cls] = {'range': range};
+      setdef( cls, {'range': range} );
       return true;
     }
   }
   this.add = function( defsin ) {
+    if (defsin && Array.isArray( defsin.patterns )) {
+      const loaded = SOT.json.todefs( defsin );
+      if (loaded.errors.length)
+        SOT.onerror( new Error("JSON pattern series: invalid patterns are skipped (" +
+                               loaded.errors.map( e => e.path + ": " + e.reason ).join( ", " ) + ")") );
+      this.add( loaded.defs );
+      return;
+    }
+    if (Array.isArray( defsin )) {
+      for( const def of defsin )
+        if (def && def.class)
+          this.add( {[def.class]: def} );
+      return;
+    }
     for( var cls in defsin )
       if (defsin[cls])
         if (typeof defsin[cls] == 'string' || defsin[cls] instanceof RegExp)
@@ -117,41 +301,299 @@ SOT.PatternSeries = function() {
           if (defsin[cls].regex && typeof defsin[cls].regex == 'string')
             this.addregexstr( defsin[cls].regex, cls, this.requiredregexflags, defsin[cls] );
           else
-            defs[cls] = defsin[cls];
+            setdef( cls, defsin[cls] );
   }
   this.del = function( cls ) {
     if (defs[cls]) {
-      delete defs[cls];
+      deldef( cls );
       return true;
     }
   }
   this.delregexs = function() {
-    var m = {};
-    for( var cls in defs )
-      if (!defs[cls].regex)
-        m[cls] = defs[cls];
-    defs = m;
+    for( const cls of order.slice() )
+      if (matcher( defs[cls] ) || defs[cls].begin)
+        deldef( cls );
   }
   this.delranges = function() {
-    var m = {};
-    for( var cls in defs )
-      if (!defs[cls].range)
-        m[cls] = defs[cls];
-    defs = m;
+    for( const cls of order.slice() )
+      if (defs[cls].range)
+        deldef( cls );
   }
   this.clear = function() {
-    defs = {};
+    defs = {}, order = [];
   }
-  this.buildmatchesmap = function( text, map=[] ) {
-    for( var cls in defs  )
-      if (defs[cls].regex)
-        map = SOT.text.map.addmatches( text, defs[cls].regex, cls, true, map );
+  this.moveafter = function( cls, othercls ) {
+    if (defs[cls] && cls != othercls && (othercls == null || defs[othercls])) {
+      order.splice( order.indexOf(cls), 1 );
+      order.splice( othercls == null ? 0 : order.indexOf(othercls)+1, 0, cls );
+      return true;
+    }
+  }
+  this.movebefore = function( cls, othercls ) {
+    if (defs[cls] && cls != othercls && (othercls == null || defs[othercls])) {
+      order.splice( order.indexOf(cls), 1 );
+      order.splice( othercls == null ? order.length : order.indexOf(othercls), 0, cls );
+      return true;
+    }
+  }
+  this.order = function() {
+    return order.slice();
+  }
+  this.loadjson = function( json ) {
+    const loaded = SOT.json.todefs( json );
+    if (!loaded.errors.length)
+      this.add( loaded.defs );
+    return loaded.errors;
+  }
+  this.tojson = function() {
+    return SOT.json.fromdefs( order.map(cls => Object.assign({'class':cls}, defs[cls])) );
+  }
+  /* patterns disabled for going over the time budget, {cls: {key:.., elapsed:..}} */
+  var overbudget = {}, overbudgetcallback;
+  function budgetkey( def ) {
+    return matcher( def ) ? String( matcher(def) ) : String( def.begin ) + ' ' + String( def.end );
+  }
+  function disabled( cls ) {
+    return overbudget[cls] && overbudget[cls].key === budgetkey( defs[cls] );
+  }
+  function disable( cls, elapsed ) {
+    overbudget[cls] = {key:budgetkey(defs[cls]), 'elapsed':elapsed};
+    reportoverbudget( {'class':cls, 'elapsed':elapsed} );
+  }
+  function reportoverbudget( params ) {
+    if (overbudgetcallback)
+      overbudgetcallback( params );
+    else
+      SOT.onerror( new Error("pattern '" + params.class + "' took " + params.elapsed +
+                             "ms, over the time budget, and is disabled (see SOT.PatternSeries timebudget)") );
+  }
+  /* ranges from scan( deadline ), or none if the pattern is disabled or goes over budget (or regex throws)
+   *   errors thrown by 'match' and 'filter' functions are reported through SOT.onerror, once per def */
+  var functionerrors = new WeakSet();
+  function budgeted( cls, scan ) {
+    if (disabled( cls ))
+      return [];
+    const start = Date.now();
+    try {
+      return scan( series.timebudget ? start + series.timebudget : 0 );
+    }
+    catch( e ) {
+      if (e.name == 'SOTTimeBudgetError')
+        disable( cls, Date.now() - start );
+      else
+        if ((typeof matcher( defs[cls] ) == 'function' || defs[cls].filter) && !functionerrors.has( defs[cls] )) {
+          functionerrors.add( defs[cls] );
+          SOT.onerror( new Error("pattern '" + cls + "': " + (e && e.message !== undefined ? e.message : e)) );
+        }
+      return [];
+    }
+  }
+  this.setoverbudgetcallback = function( callback ) {
+    var prev = overbudgetcallback ? overbudgetcallback : function(){};
+    overbudgetcallback = callback;
+    return prev;
+  }
+  this.overbudget = function() {
+    const m = {};
+    for( const cls in overbudget )
+      if (defs[cls] && disabled( cls ))
+        m[cls] = overbudget[cls].elapsed;
+    for( const cls in regionseries )
+      if (defs[cls] && regionseries[cls].def === defs[cls])
+        Object.assign( m, regionseries[cls].series.overbudget() );
+    return m;
+  }
+  this.enable = function( cls ) {
+    if (overbudget[cls]) {
+      delete overbudget[cls];
+      return true;
+    }
+  }
+  /* match ranges of each regex for the text it was last matched against,
+   *   {cls: {text:.., def:.., regex:.., key:.., scope:[..], ranges:[..]}}
+   * (a def's ranges are reused while the text, the regex and its options, and the scope of a 'within'/'notwithin'
+   *   def are the same, so changing one def only re-runs that def's regex) */
+  var matches = {}, lastmap;
+  function matchkey( def ) {
+    return String( matcher(def) ) + " " + JSON.stringify( [def.groups, def.within, def.notwithin] );
+  }
+  function samescope( scope, prevscope ) {
+    if (!scope || !prevscope)
+      return scope == prevscope;
+    if (scope.length != prevscope.length)
+      return false;
+    for( var i=0; i<scope.length; i++ )
+      if (scope[i].start != prevscope[i].start || scope[i].end != prevscope[i].end)
+        return false;
+    return true;
+  }
+  function matchranges( text, cls, map ) {
+    const def = defs[cls], prev = matches[cls], key = matchkey( def ), regex = matcher( def );
+    const scope = def.within || def.notwithin ? SOT.text.map.scoperanges( text, map, def.within, def.notwithin ) : null;
+    /* (functions are compared by identity, their source doesn't say what they match) */
+    if (prev && prev.text === text && prev.key === key && prev.complete && samescope( scope, prev.scope ) &&
+        prev.filter === def.filter && (typeof regex != 'function' || prev.regex === regex) && !disabled( cls )) {
+      prev.def = def, prev.regex = regex;
+      return prev.ranges;
+    }
+    const ranges = budgeted( cls, function( deadline ) {
+      if (scope)
+        return SOT.text.map.matchrangesin( text, regex, scope, def.groups, deadline, def.filter );
+      return SOT.text.map.matchranges( text, regex, def.groups, deadline, def.filter );
+    } );
+    matches[cls] = {'text':text, 'def':def, 'regex':regex, filter:def.filter, 'key':key, 'scope':scope, 'ranges':ranges,
+                    complete:!disabled( cls )};
+    return ranges;
+  }
+  function adddefranges( text, cls, ranges, map ) {
+    if (defs[cls].marker)
+      return SOT.text.map.addmarkers( text, ranges, cls, map );
+    if (defs[cls].atomic)
+      return SOT.text.map.addatomicranges( text, ranges, cls, map );
+    return SOT.text.map.addranges( text, ranges, cls, !defs[cls].overwrite, map );
+  }
+  function addrangedef( text, cls, map ) {
+    const range = defs[cls].range;
+    if (defs[cls].marker)
+      return SOT.text.map.addmarkers( text, [{start:Math.min(range.start,range.end)}], cls, map );
+    return SOT.text.map.addrange( text, range, cls, true, map );
+  }
+  function addmatchranges( text, cls, ranges, map ) {
+    map = adddefranges( text, cls, ranges, map );
+    if (defs[cls].groups && defs[cls].regex)
+      map = SOT.text.map.addgroupranges( text, ranges, defs[cls].groups, true, map );
+    return map;
+  }
+  /* pattern series of region defs with 'patterns', {cls: {def:.., series:..}} */
+  var regionseries = {};
+  function innerseries( cls ) {
+    if (!regionseries[cls] || regionseries[cls].def !== defs[cls]) {
+      regionseries[cls] = {def:defs[cls], series:new SOT.PatternSeries()};
+      regionseries[cls].series.add( defs[cls].patterns );
+      regionseries[cls].series.setoverbudgetcallback( reportoverbudget );
+    }
+    regionseries[cls].series.timebudget = series.timebudget;
+    return regionseries[cls].series;
+  }
+  /* region ranges of the most recent region scan, {text:.., key:.., rangesets:[..]} */
+  var regionscan = {};
+  /* add ranges of a region def, followed by the ranges of its patterns */
+  function addregionranges( text, cls, build, map ) {
+    if (!build.regions) {
+      /* (all regions are scanned at once, the first time one is added) */
+      /* (a region that goes over budget is disabled and the scan is redone without it) */
+      for( var rangesets; !rangesets; ) {
+        var regions = [];
+        for( const c of order )
+          if (defs[c].begin && !disabled( c ))
+            regions.push( {setname:c, begin:defs[c].begin, end:defs[c].end} );
+        const key = regions.map( region => region.setname + " " + region.begin + " " + region.end ).join( "\n" );
+        if (regionscan.text === text && regionscan.key === key) {
+          rangesets = regionscan.rangesets;
+          break;
+        }
+        try {
+          rangesets = SOT.text.map.regionranges( text, regions, series.timebudget );
+          regionscan = {'text':text, 'key':key, 'rangesets':rangesets};
+        }
+        catch( e ) {
+          if (e.name != 'SOTTimeBudgetError')
+            throw e;
+          disable( e.setname, e.elapsed );
+        }
+      }
+      build.regions = {};
+      for( var i=0; i<regions.length; i++ )
+        build.regions[regions[i].setname] = rangesets[i];
+    }
+    const ranges = build.regions[cls] ? build.regions[cls] : [];
+    map = adddefranges( text, cls, ranges, map );
+    if (defs[cls].patterns) {
+      const series = innerseries( cls ), inner = regionseries[cls].inner;
+      var innerranges = {};
+      /* (inner ranges are reused while the region ranges are those of the same scan) */
+      if (inner && inner.text === text && inner.ranges === ranges)
+        innerranges = inner.innerranges;
+      else {
+        for( const r of ranges ) {
+          const innermap = series.buildmatchesmap( text.slice(r.start,r.end) );
+          for( const setname of series.setnames() ) {
+            innerranges[setname] = innerranges[setname] ? innerranges[setname] : [];
+            for( const innerrange of SOT.text.map.setranges(innermap,setname) )
+              innerranges[setname].push( SOT.text.map._shiftrange(innerrange,r.start) );
+          }
+        }
+        /* (not while any inner pattern is disabled, so enabling it again takes effect) */
+        regionseries[cls].inner = Object.keys( series.overbudget() ).length ? null :
+                                  {'text':text, 'ranges':ranges, 'innerranges':innerranges};
+      }
+      for( const setname in innerranges )
+        map = SOT.text.map.addranges( text, innerranges[setname], setname, true, map );
+    }
     return map;
   }
+  this.setnames = function() {
+    const setnames = [];
+    function add( setname ) {
+      if (setnames.indexOf( setname ) < 0)
+        setnames.push( setname );
+    }
+    for( const cls of order )
+      if (matcher( defs[cls] ) || defs[cls].begin) {
+        add( cls );
+        for( const key in defs[cls].groups )
+          add( defs[cls].groups[key] );
+        if (defs[cls].begin && defs[cls].patterns)
+          for( const setname of innerseries(cls).setnames() )
+            add( setname );
+      }
+    return setnames;
+  }
+  this.buildmatchesmap = function( text, map=[] ) {
+    const build = {};
+    for( const cls of order )
+      if (matcher( defs[cls] ))
+        map = addmatchranges( text, cls, matchranges(text,cls,map), map );
+      else
+        if (defs[cls].begin)
+          map = addregionranges( text, cls, build, map );
+    return lastmap = map;
+  }
+  this.updatemap = function( map, oldtext, newtext, editrange ) {
+    if (map !== lastmap)
+      return this.buildmatchesmap( newtext );
+    if (!editrange)
+      editrange = SOT.text.diffrange( oldtext, newtext );
+    var newmap = [], ranges;
+    const build = {};
+    for( const cls of order )
+      if (matcher( defs[cls] )) {
+        const prev = matches[cls];
+        /* (scoped patterns are re-run over their scope, which may have changed anywhere) */
+        /* ('match' functions are re-run in full, they may see across any boundary) */
+        if (prev && prev.text === oldtext && prev.def === defs[cls] && prev.regex === defs[cls].regex &&
+            prev.filter === defs[cls].filter && prev.regex.global && !defs[cls].within && !defs[cls].notwithin &&
+            !disabled( cls )) {
+          ranges = budgeted( cls, deadline => SOT.text.map.updateranges(prev.ranges, oldtext, newtext, prev.regex, editrange,
+                                                                        this.updateboundary, prev.def.groups, deadline,
+                                                                        prev.filter) );
+          matches[cls] = {text:newtext, def:prev.def, regex:prev.regex, filter:prev.filter, key:prev.key, scope:null,
+                          'ranges':ranges, complete:!disabled( cls )};
+        }
+        else
+          ranges = matchranges( newtext, cls, newmap );
+        newmap = addmatchranges( newtext, cls, ranges, newmap );
+      }
+      else
+        if (defs[cls].begin)
+          /* (regions are rescanned in full, a region may run to the end of text) */
+          newmap = addregionranges( newtext, cls, build, newmap );
+    return lastmap = newmap;
+  }
   this.buildrangesmap = function( text, map=[] ) {
-    for( var cls in defs )
+    for( const cls of order )
       if (defs[cls].range)
-        map = SOT.text.map.addrange( text, defs[cls].range, cls, true, map );
+        map = addrangedef( text, cls, map );
     return map;
   }
   this.buildmap = function( text, map=[], overlayranges=true ) {
@@ -160,12 +602,16 @@ SOT.PatternSeries = function() {
       map = this.buildrangesmap( text, map );
     }
     else {
-      for( var cls in defs )
-        if (defs[cls].regex)
-          map = SOT.text.map.addmatches( text, defs[cls].regex, cls, true, map );
+      const build = {};
+      for( const cls of order )
+        if (matcher( defs[cls] ))
+          map = addmatchranges( text, cls, matchranges(text,cls,map), map );
         else
-          if (defs[cls].range)
-            map = SOT.text.map.addrange( text, defs[cls].range, cls, true, map );
+          if (defs[cls].begin)
+            map = addregionranges( text, cls, build, map );
+          else
+            if (defs[cls].range)
+              map = addrangedef( text, cls, map );
     }
     return map;
   }
@@ -175,14 +621,571 @@ SOT.PatternSeries = function() {
     markupcallback = callback;
     return prev;
   }
+  /* defs including those of region patterns (used for markup) */
+  this.markupdefs = function() {
+    var all = defs;
+    for( const cls in defs )
+      if (defs[cls].begin && defs[cls].patterns) {
+        const innerdefs = innerseries( cls ).markupdefs();
+        all = all === defs ? Object.assign( {}, defs ) : all;
+        for( const c in innerdefs )
+          if (!all[c])
+            all[c] = innerdefs[c];
+      }
+    return all;
+  }
   this.markupmap = function( text, map, opts ) {
-    return SOT.map.markup( text, map, opts, defs, markupcallback );
+    return SOT.map.markup( text, map, opts, this.markupdefs(), markupcallback );
   }
   this.markup = function( text, map=[], opts={overlayranges:true} ) {
-    return SOT.map.markup( text, this.buildmap(text,map,opts.overlayranges), opts, defs, markupcallback );
+    return SOT.map.markup( text, this.buildmap(text,map,opts.overlayranges), opts, this.markupdefs(), markupcallback );
+  }
+  this.render = function( text, renderer, map=[] ) {
+    return SOT.map.render( text, this.buildmap(text,map), renderer );
+  }
+  this.markupmapnodes = function( text, map, opts ) {
+    return SOT.map.nodes( text, map, opts, this.markupdefs(), markupcallback );
+  }
+  this.markupnodes = function( text, map=[], opts={overlayranges:true} ) {
+    return SOT.map.nodes( text, this.buildmap(text,map,opts.overlayranges), opts, this.markupdefs(), markupcallback );
   }
 }
 
+/*
+ *  JSON pattern series
+ *    a declarative form of patterndefs (see SOT.markup) that can be stored, sent to workers and validated
+ *
+ *    {"stylotron": 1, "patterns": [{"class": .., "regex": .., ..opts..}, ...]}
+ *      entries are the same as in the array form of patterndefs, except:
+ *        regex's ('regex', 'begin', 'end') are strings, "/.+/gi" (or literals, see SOT.markup)
+ *        regex attrs in 'htmlattrs' are {"regex": "/.../"}, example: {"htmlattrs": {"id": {"regex": "/\\d+/"}}}
+ *        region 'patterns' are arrays of entries
+ *        'display' is a string (display functions have no JSON form)
+ *        there are no 'match' or 'filter' defs (functions have no JSON form)
+ *      "stylotron" (the format version) is optional, a bare array of entries is also accepted
+ *
+ *  loaded = SOT.json.todefs( json )
+ *    validates a JSON pattern series (string or parsed) and converts it to patterndefs,
+ *      loaded = {defs: [{class: .., ...}, ...], errors: [{path: .., reason: ..}, ...]}
+ *    'path' locates the offending value, example: 'patterns[2].htmlattrs.href'
+ *    entries with errors are left out of 'defs'
+ *  exported = SOT.json.fromdefs( patterndefs )
+ *    converts patterndefs (object or array form) to a JSON pattern series, exported = {json: {..}, errors: [..]}
+ *      ('json' is a plain object, use JSON.stringify to get the text)
+ *    values that have no JSON form (functions, etc.) are left out and reported in 'errors'
+ */
+SOT.json = {
+  version: 1,
+  options: ['class', 'regex', 'begin', 'end', 'patterns', 'range', 'htmltag', 'htmltagend', 'htmlattrs', 'groups',
+            'within', 'notwithin', 'priority', 'atomic', 'overwrite', 'marker', 'display', 'match', 'filter'],
+  todefs: function( json ) {
+    const errors = [];
+    function error( path, reason ) {
+      errors.push( {'path':path, 'reason':reason} );
+      return false;
+    }
+    function isobject( value ) {
+      return value !== null && typeof value == 'object' && !Array.isArray( value );
+    }
+    function regex( value, path, reqflags ) {
+      if (typeof value != 'string' || !value)
+        return error( path, "must be a regex string" );
+      try {
+        return SOT.text.regexstr2regex( value, reqflags );
+      }
+      catch( e ) {
+        return error( path, "invalid regex: " + e.message );
+      }
+    }
+    function classes( value, path ) {
+      const list = Array.isArray( value ) ? value : [value];
+      for( var i=0; i<list.length; i++ )
+        if (typeof list[i] != 'string' || !list[i])
+          return error( Array.isArray(value) ? path+"["+i+"]" : path, "must be a class name or an array of them" );
+      return true;
+    }
+    function entry( e, path, seen ) {
+      var ok = true;
+      if (!isobject( e ))
+        return error( path, "must be an object" );
+      for( const key in e )
+        if (SOT.json.options.indexOf( key ) < 0)
+          ok = error( path+"."+key, "unknown option" );
+      if (typeof e.class != 'string' || !e.class)
+        return error( path+".class", "must be a non-empty string" );
+      if (seen[e.class])
+        ok = error( path+".class", "duplicate class '" + e.class + "'" );
+      seen[e.class] = true;
+      const def = {'class':e.class};
+      for( const key of ['match', 'filter'] )
+        if (e[key] !== undefined)
+          ok = error( path+"."+key, "has no JSON form" );
+      const kinds = ['regex', 'begin', 'range'].filter( k => e[k] !== undefined );
+      if (kinds.length != 1)
+        return error( path, kinds.length ? "only one of 'regex', 'begin' and 'range' is allowed"
+                                         : "must have a 'regex', 'begin' or 'range'" );
+      if (e.regex !== undefined)
+        ok = (def.regex = regex( e.regex, path+".regex", 'g' )) && ok;
+      if (e.begin !== undefined) {
+        ok = (def.begin = regex( e.begin, path+".begin", 'g' )) && ok;
+        if (e.end !== undefined)
+          ok = (def.end = regex( e.end, path+".end", 'g' )) && ok;
+        if (e.patterns !== undefined)
+          if (!Array.isArray( e.patterns ))
+            ok = error( path+".patterns", "must be an array" );
+          else {
+            const n = errors.length;
+            def.patterns = entries( e.patterns, path+".patterns" );
+            ok = errors.length == n && ok;
+          }
+      }
+      else
+        for( const key of ['end', 'patterns'] )
+          if (e[key] !== undefined)
+            ok = error( path+"."+key, "only allowed with 'begin'" );
+      if (e.range !== undefined)
+        if (!isobject( e.range ) || !Number.isInteger( e.range.start ) || !Number.isInteger( e.range.end ) ||
+            e.range.start < 0 || e.range.end < e.range.start)
+          ok = error( path+".range", "must be {start, end} with integers 0 <= start <= end" );
+        else
+          def.range = {start:e.range.start, end:e.range.end};
+      if (e.htmltag !== undefined)
+        if (typeof e.htmltag != 'string' || !/^[A-Za-z][\w-]*$/.test( e.htmltag ))
+          ok = error( path+".htmltag", "must be a tag name" );
+        else
+          def.htmltag = e.htmltag;
+      if (e.htmltagend !== undefined)
+        if (typeof e.htmltagend != 'string' || !/^(?:[A-Za-z][\w-]*)?$/.test( e.htmltagend ))
+          ok = error( path+".htmltagend", "must be a tag name or empty" );
+        else
+          def.htmltagend = e.htmltagend;
+      if (e.display !== undefined)
+        if (typeof e.display != 'string')
+          ok = error( path+".display", "must be a string" );
+        else
+          def.display = e.display;
+      if (e.htmlattrs !== undefined)
+        if (!isobject( e.htmlattrs ))
+          ok = error( path+".htmlattrs", "must be an object" );
+        else {
+          def.htmlattrs = {};
+          for( const a in e.htmlattrs ) {
+            const value = e.htmlattrs[a];
+            if (typeof value == 'string')
+              def.htmlattrs[a] = value;
+            else
+              if (isobject( value ) && Object.keys( value ).join() == 'regex')
+                ok = (def.htmlattrs[a] = regex( value.regex, path+".htmlattrs."+a+".regex" )) && ok;
+              else
+                ok = error( path+".htmlattrs."+a, "must be a string or {regex}" );
+          }
+        }
+      if (e.groups !== undefined)
+        if (!isobject( e.groups ))
+          ok = error( path+".groups", "must be an object" );
+        else {
+          for( const key in e.groups )
+            if (typeof e.groups[key] != 'string' || !e.groups[key])
+              ok = error( path+".groups."+key, "must be a class name" );
+          def.groups = Object.assign( {}, e.groups );
+        }
+      for( const key of ['within', 'notwithin'] )
+        if (e[key] !== undefined)
+          ok = (def[key] = classes( e[key], path+"."+key ) ? e[key] : false) && ok;
+      if (e.priority !== undefined)
+        if (typeof e.priority != 'number' || !isFinite( e.priority ))
+          ok = error( path+".priority", "must be a number" );
+        else
+          def.priority = e.priority;
+      for( const key of ['atomic', 'overwrite', 'marker'] )
+        if (e[key] !== undefined)
+          if (typeof e[key] != 'boolean')
+            ok = error( path+"."+key, "must be true or false" );
+          else
+            def[key] = e[key];
+      return ok ? def : false;
+    }
+    function entries( list, path ) {
+      const defs = [], seen = {};
+      for( var i=0; i<list.length; i++ ) {
+        const def = entry( list[i], path+"["+i+"]", seen );
+        if (def)
+          defs.push( def );
+      }
+      return defs;
+    }
+    var defs = [];
+    if (typeof json == 'string')
+      try {
+        json = JSON.parse( json );
+      }
+      catch( e ) {
+        error( "", "invalid JSON: " + e.message );
+        return {'defs':defs, 'errors':errors};
+      }
+    var list = json, path = "";
+    if (isobject( json )) {
+      for( const key in json )
+        if (key != 'stylotron' && key != 'patterns')
+          error( key, "unknown key" );
+      if (json.stylotron !== undefined && json.stylotron !== SOT.json.version)
+        error( "stylotron", "unsupported version (" + SOT.json.version + " is supported)" );
+      list = json.patterns, path = "patterns";
+    }
+    if (!Array.isArray( list ))
+      error( path, "must be an array of pattern entries" );
+    else
+      defs = entries( list, path );
+    return {'defs':defs, 'errors':errors};
+  },
+  fromdefs: function( patterndefs ) {
+    const errors = [];
+    function error( path, reason ) {
+      errors.push( {'path':path, 'reason':reason} );
+    }
+    function regex( value, path ) {
+      if (value instanceof RegExp)
+        return String( value );
+      if (typeof value == 'string')
+        return value;
+      error( path, "must be a regex or a string" );
+    }
+    function entry( cls, def, path ) {
+      if (typeof def == 'string' || def instanceof RegExp)
+        def = {'regex':def};
+      const e = {'class':cls};
+      for( const key in def ) {
+        const value = def[key];
+        if (value === undefined || key == 'class')
+          continue;
+        if (SOT.json.options.indexOf( key ) < 0) {
+          if (key != 'regexstr')
+            error( path+"."+key, "unknown option" );
+        }
+        else
+          if (key == 'regex' || key == 'begin' || key == 'end')
+            e[key] = regex( value, path+"."+key );
+          else
+            if (key == 'patterns')
+              e.patterns = entries( value, path+".patterns" );
+            else
+              if (key == 'range')
+                e.range = {start:value.start, end:value.end};
+              else
+                if (key == 'htmlattrs') {
+                  e.htmlattrs = {};
+                  for( const a in value )
+                    if (value[a] instanceof RegExp)
+                      e.htmlattrs[a] = {regex:String( value[a] )};
+                    else
+                      if (typeof value[a] == 'string')
+                        e.htmlattrs[a] = value[a];
+                      else
+                        error( path+".htmlattrs."+a, "must be a string or a regex" );
+                }
+                else
+                  if (typeof value == 'function' || typeof value == 'symbol')
+                    error( path+"."+key, "has no JSON form" );
+                  else
+                    e[key] = JSON.parse( JSON.stringify(value) );
+      }
+      return e;
+    }
+    function entries( defs, path ) {
+      const list = [];
+      if (Array.isArray( defs )) {
+        for( const def of defs )
+          if (def && def.class)
+            list.push( entry(def.class, def, path+"["+list.length+"]") );
+      }
+      else
+        for( const cls in defs )
+          if (defs[cls])
+            list.push( entry(cls, defs[cls], path+"["+list.length+"]") );
+      return list;
+    }
+    const json = {stylotron:SOT.json.version, patterns:entries( patterndefs, "patterns" )};
+    return {'json':json, 'errors':errors};
+  }
+}
+
+/*
+ *  problems = SOT.lint( patterndefs )
+ *    checks patterndefs (any form, see SOT.markup and SOT.json) for patterns that won't do what they appear to,
+ *      problems = [{class: .., severity: 'error' or 'warning' or 'info', message: ..}, ...]
+ *    errors (the pattern produces nothing, or markup that isn't what was meant):
+ *      invalid regex's, regex's without 'g' flag, regex's that only match empty strings (in a test text),
+ *      lookbehinds that can never match, class names that include the segment classes 'L' or 'R',
+ *      'match' or 'filter' that isn't a function
+ *    warnings: regex's that duplicate an earlier one, 'htmltagend' without 'htmltag', 'match' with a 'regex' (it is
+ *      ignored), 'filter' or 'groups' on a 'match' def
+ *    info: class names with spaces (they are marked up as several CSS classes)
+ *    region 'patterns' are checked too, JSON errors (see SOT.json) are reported with class ''
+ */
+SOT.lint = function( patterndefs ) {
+  const problems = [];
+  function problem( cls, severity, message ) {
+    problems.push( {'class':cls, 'severity':severity, 'message':message} );
+  }
+  if (patterndefs && Array.isArray( patterndefs.patterns )) {
+    const loaded = SOT.json.todefs( patterndefs );
+    for( const e of loaded.errors )
+      problem( '', 'error', (e.path ? e.path + ": " : "") + e.reason );
+    patterndefs = loaded.defs;
+  }
+  function checkclass( cls, what ) {
+    const words = cls.split( /\s+/ ).filter( w => w );
+    if (words.indexOf( 'L' ) >= 0 || words.indexOf( 'R' ) >= 0)
+      problem( cls, 'error', what + " '" + cls + "' includes 'L' or 'R', which mark the ends of segmented ranges" );
+    else
+      if (words.length > 1)
+        problem( cls, 'info', what + " '" + cls + "' is marked up as several CSS classes (" + words.join(", ") + ")" );
+  }
+  function compile( cls, value, name ) {
+    try {
+      return typeof value == 'string' ? SOT.text.regexstr2regex( value, 'g' ) : value;
+    }
+    catch( e ) {
+      problem( cls, 'error', "invalid " + name + ": " + e.message );
+      return null;
+    }
+  }
+  function checklookbehinds( cls, regex, name ) {
+    for( const body of SOT.lint._lookbehinds( regex.source ) )
+      if (body.atstart && !regex.multiline && !new RegExp( '^(?:' + body.source + ')$', regex.flags.replace(/[gy]/g,'') ).test( '' ))
+        problem( cls, 'error', name + " lookbehind (?<=" + body.source + ") follows '^', so it can never match" );
+  }
+  function matchesonlyempty( regex ) {
+    const r = new RegExp( regex.source, regex.flags.replace(/[gy]/g,'') + 'g' );
+    var empty = false, m, n = 0;
+    while( (m = r.exec( SOT.lint.sampletext )) && n++ < 1000 )
+      if (m[0].length)
+        return false;
+      else {
+        empty = true;
+        r.lastIndex = SOT.text.advance( SOT.lint.sampletext, m.index, m.index, r.unicode );
+      }
+    return empty;
+  }
+  function check( defs ) {
+    const regexs = {};
+    function checkdef( cls, def ) {
+      if (typeof def == 'string' || def instanceof RegExp)
+        def = {regex:def};
+      checkclass( cls, "class" );
+      for( const key in def.groups )
+        if (typeof def.groups[key] == 'string')
+          checkclass( def.groups[key], "group class" );
+      if (def.htmltagend !== undefined && !def.htmltag)
+        problem( cls, 'warning', "'htmltagend' without 'htmltag', end tag won't match the start tag" );
+      for( const name of ['match', 'filter'] )
+        if (def[name] !== undefined && typeof def[name] != 'function')
+          problem( cls, 'error', "'" + name + "' must be a function" );
+      if (def.match !== undefined && def.regex)
+        problem( cls, 'warning', "'match' is ignored, the def matches with its 'regex'" );
+      else
+        if (def.match !== undefined)
+          for( const name of ['filter', 'groups'] )
+            if (def[name] !== undefined)
+              problem( cls, 'warning', "'" + name + "' only applies to regex matches, not to 'match' ranges" );
+      for( const name of ['regex', 'begin', 'end'] ) {
+        if (!def[name])
+          continue;
+        const regex = compile( cls, def[name], name );
+        if (!regex)
+          continue;
+        checklookbehinds( cls, regex, name );
+        if (name == 'regex') {
+          if (!regex.global)
+            problem( cls, 'error', "regex has no 'g' flag, pattern is ignored" );
+          else
+            if (!def.marker && matchesonlyempty( regex ))
+              problem( cls, 'error', "regex only matches empty strings, which produce no ranges" );
+          const key = String( regex ) + ' ' + String( def.within ) + ' ' + String( def.notwithin );
+          if (regexs[key])
+            problem( cls, 'warning', "regex is the same as the regex of '" + regexs[key] + "'" );
+          else
+            regexs[key] = cls;
+        }
+      }
+      if (def.begin && def.patterns)
+        check( def.patterns );
+    }
+    if (Array.isArray( defs )) {
+      for( const def of defs )
+        if (def && def.class)
+          checkdef( def.class, def );
+    }
+    else
+      for( const cls in defs )
+        if (defs[cls])
+          checkdef( cls, defs[cls] );
+  }
+  check( patterndefs );
+  return problems;
+}
+/* text that empty-match checks are run against */
+SOT.lint.sampletext = "Heading One\n\nA sentence, with words and 12.5 numbers: (parens) [brackets] {braces}.\n" +
+                      "  code = {a: 'quoted', \"b\": [1, 2]}; /* comment */ // line\n" +
+                      "<a href=\"#x\">_#button#_ _$input$_</a> *stars* _under_ `ticks` $x$ \\\\cmd\n\n\t- item\n";
+/* lookbehind groups of a regex source, [{source: .., atstart: true if it follows '^'}, ...] */
+SOT.lint._lookbehinds = function( source ) {
+  const found = [];
+  for( var i=0, inclass=false, prev=''; i<source.length; i++ ) {
+    const c = source[i];
+    if (c == '\\') {
+      prev = source.slice( i, i+2 ), i++;
+      continue;
+    }
+    if (inclass)
+      inclass = c != ']';
+    else
+      if (c == '[')
+        inclass = true;
+      else
+        if (source.startsWith( '(?<=', i )) {
+          var depth = 1, j = i+4, jinclass = false;
+          for( ; j<source.length && depth; j++ )
+            if (source[j] == '\\')
+              j++;
+            else
+              if (jinclass)
+                jinclass = source[j] != ']';
+              else
+                if (source[j] == '[')
+                  jinclass = true;
+                else
+                  depth += source[j] == '(' ? 1 : source[j] == ')' ? -1 : 0;
+          found.push( {source:source.slice( i+4, j-1 ), atstart:prev == '^'} );
+        }
+    prev = c;
+  }
+  return found;
+}
+
+/*
+ *  worker = new SOT.MapWorker( url=SOT.MapWorker.url )
+ *    builds matches maps in a Web Worker, so heavy pattern series don't block the page
+ *    'url' is the url of stylotron.js, which serves map requests when it is loaded as a worker script
+ *      (SOT.MapWorker.url is the url stylotron.js was loaded from with a <script> tag)
+ *
+ *    promise = worker.buildmap( text, patterns )
+ *      resolves to the matches map of 'text' (as patterns.buildmatchesmap( text ) would build it)
+ *      the regex and region defs are sent to the worker as a JSON pattern series (see SOT.json), only when they have
+ *        changed (range defs aren't in a matches map, so moving a selection doesn't resend the series);
+ *        the worker keeps its own series and updates its last map incrementally (see SOT.PatternSeries.updatemap)
+ *      requests are answered in order, each with a map of the text it was given (callers drop stale ones)
+ *    worker.terminate()
+ *
+ *    the map is built on the main thread (asynchronously) when Workers aren't available (node, pages without a url
+ *      for stylotron.js, file: pages in some browsers), when the worker fails, and for defs that have no JSON form
+ *      other than markup options (display functions, etc.)
+ *    (the worker's series has its own time budget state, see SOT.PatternSeries.timebudget)
+ *
+ *  worker = SOT.mapworker()
+ *    a worker shared by SOT.markupAsync and the editor Styler, created when first needed
+ */
+SOT.MapWorker = function( url=SOT.MapWorker.url ) {
+  var worker, pending = {}, nextid = 1, sentpatterns;
+  function start() {
+    if (worker === undefined) {
+      worker = null;
+      if (url && typeof Worker == 'function')
+        try {
+          worker = new Worker( url );
+          worker.onmessage = onmessage;
+          worker.onerror = onerror;
+        }
+        catch( e ) {
+          worker = null;
+        }
+    }
+    return worker;
+  }
+  function local( text, patterns ) {
+    return new Promise( function( resolve ) {
+      setTimeout( () => resolve( patterns.buildmatchesmap(text) ), 0 );
+    } );
+  }
+  function onmessage( e ) {
+    const request = pending[e.data.sotmapworker];
+    if (request) {
+      delete pending[e.data.sotmapworker];
+      if (e.data.error === undefined)
+        request.resolve( e.data.map );
+      else {
+        /* (the worker dropped its series, the defs are sent again with the next request) */
+        sentpatterns = undefined;
+        local( request.text, request.patterns ).then( request.resolve );
+      }
+    }
+  }
+  /* (the worker didn't load or crashed, pending and later requests are built on the main thread) */
+  function onerror( e ) {
+    e.preventDefault();
+    worker.terminate();
+    worker = null;
+    for( const id in pending )
+      local( pending[id].text, pending[id].patterns ).then( pending[id].resolve );
+    pending = {};
+  }
+  this.buildmap = function( text, patterns ) {
+    /* (range defs are left out, they change often and don't affect the map) */
+    const exported = SOT.json.fromdefs( patterns.order().filter( cls => !patterns.get(cls).range )
+                                                        .map( cls => Object.assign({'class':cls}, patterns.get(cls)) ) );
+    if (!start() || exported.errors.some( e => !SOT.MapWorker.markuponly.test(e.path) ))
+      return local( text, patterns );
+    const id = nextid++;
+    const msg = {sotmapworker:id, 'text':text, timebudget:patterns.timebudget, updateboundary:patterns.updateboundary};
+    const jsontext = JSON.stringify( exported.json );
+    if (jsontext !== sentpatterns)
+      msg.patterns = sentpatterns = jsontext;
+    return new Promise( function( resolve ) {
+      pending[id] = {'text':text, 'patterns':patterns, 'resolve':resolve};
+      worker.postMessage( msg );
+    } );
+  }
+  this.terminate = function() {
+    if (worker)
+      worker.terminate();
+    worker = null, sentpatterns = undefined;
+  }
+}
+SOT.MapWorker.url = typeof document == 'object' && document.currentScript ? document.currentScript.src : "";
+/* paths of JSON errors (see SOT.json.fromdefs) for options that don't affect the map */
+SOT.MapWorker.markuponly = /\.(display|htmlattrs)(\.|$)/;
+/* worker side, answers map requests posted to 'scope' */
+SOT.MapWorker.serve = function( scope ) {
+  var series, text, map;
+  scope.addEventListener( 'message', function( e ) {
+    const msg = e.data;
+    if (!msg || !msg.sotmapworker)
+      return;
+    try {
+      if (msg.patterns !== undefined) {
+        series = new SOT.PatternSeries();
+        const errors = series.loadjson( msg.patterns );
+        if (errors.length)
+          throw new Error( errors[0].path + " " + errors[0].reason );
+        map = null;
+      }
+      series.timebudget = msg.timebudget, series.updateboundary = msg.updateboundary;
+      map = map ? series.updatemap( map, text, msg.text ) : series.buildmatchesmap( msg.text );
+      text = msg.text;
+      scope.postMessage( {sotmapworker:msg.sotmapworker, 'map':map} );
+    }
+    catch( e ) {
+      series = null, map = null;
+      scope.postMessage( {sotmapworker:msg.sotmapworker, error:String( e )} );
+    }
+  } );
+}
+SOT.mapworker = function() {
+  if (!SOT.mapworker.worker)
+    SOT.mapworker.worker = new SOT.MapWorker();
+  return SOT.mapworker.worker;
+}
+
 /*
  *  HTML = SOT.map.markup( text, map, opts, callback )
  *    generates layered html from a SOT.text.map
@@ -215,9 +1218,23 @@ SOT.PatternSeries = function() {
  *      </mark>
  *      <mark class="cls0 R"> is here</mark>
  *
- *  'opts': {'htmltag': ..}
+ *  'opts': {'htmltag': .., 'safe': .., 'static': .., 'window': ..}
  *    if provided, 'htmltag' will be used instead of "mark" globally
  *      (tags can also be specified per-class in 'defs', see SOT.markup comments)
+ *    'safe' restricts the markup to allowlisted tags and attributes, for rendering untrusted text and defs:
+ *      safe: true uses SOT.map.safetags and SOT.map.safeattrs, safe: {tags:[..], attrs:[..]} replaces either list
+ *      a tag that isn't allowed is marked up as "mark" (an end tag that isn't allowed is the same as the start tag)
+ *      attributes that aren't allowed are dropped ('class' is always kept), as are URL attributes (SOT.map.urlattrs)
+ *        with a scheme that isn't in SOT.map.safeschemes (http:, https:, mailto:), relative URLs are kept
+ *        (URLs are checked the way browsers read them, with tabs and newlines removed and leading spaces trimmed)
+ *
+ *    'static': true applies the 'display' text of defs (see SOT.markup), for published pages that aren't edited
+ *      (without it the markup's text is always the exact plaintext, as editors require)
+ *
+ *    'window': {start: .., end: ..} marks up only that range of the text (see SOT.text.map.slice), for editors that
+ *      mount only the lines in view; layers that continue outside the window have no 'L' or 'R' at its edges
+ *
+ *  Attribute values (from 'htmlattrs' and the callback) are always HTML-escaped
  *
  *  'callback': attrs = function( params )
  *    optional, will be fired on each tag, params:
@@ -226,54 +1243,125 @@ SOT.PatternSeries = function() {
  *      'map': the text map
  *      'mapindex': index in 'map' array
  *      'layerindex': index in 'origs' subarray (see SOT.text.map)
+ *      'data': the 'data' of the layer's range (from a 'match' def), if any
  *      'opts': passed in opts
  *    callback can modify and/or add to 'attrs'
+ *
+ *  nodes = SOT.map.nodes( text, map, opts, defs, callback )
+ *    builds the same markup as nodes instead of an HTML string (same tags, attrs, L/R classes and callback)
+ *    returns a DocumentFragment when a document is available (opts.document, or the global document),
+ *      otherwise a lightweight tree: {children: [node, ...]}, node = {tag: .., attrs: {..}, children: [..]} or a text string
+ *    (a tag with an empty 'htmltagend' is a void element, the text it covers follows it as the HTML parser would do)
+ *
+ *  SOT.map.walk( text, map, visitor, win={start: 0, end: text.length} )
+ *    walks the nesting the renderers produce (over 'win', the map must be sliced to it), calling:
+ *      visitor.open( layer, segrange, mapindex, layerindex ), when a layer's element starts
+ *      visitor.text( text, segrange, mapindex ), for text (raw, unescaped), once per segment (even if empty)
+ *        and for the text between segments (segrange is null then)
+ *      visitor.close( layer, segrange, mapindex, layerindex ), when it ends (it's a rightmost segment if
+ *        layer.range.end == segrange.end)
+ *
+ *  tree = SOT.map.totree( text, map, opts, defs )
+ *    the nesting the renderers produce as a JSON tree, root = {range: {start: 0, end: text.length}, children: [..]}
+ *      element = {class: .., tag: .., range: original range, span: range covered by this element,
+ *                 L: true if it starts the original range, R: true if it ends it, children: [..]}
+ *      text = {text: .., range: {start: .., end: ..}}, one per segment (even if empty) and between segments
+ *    ('opts' and 'defs' determine the tags, as in SOT.map.markup; elements nest as in the map, void tags included)
+ *  {text, map} = SOT.map.fromtree( tree )
+ *    rebuilds the text and map from a tree
+ *
+ *  {text, map, defs, attrs} = SOT.map.parse( html )
+ *    recovers the plaintext and map from markup produced by SOT.map.markup (or SOT.map.nodes)
+ *      elements with a class attribute are layers, the pieces of a segmented range ('L' .. 'R') are merged back into
+ *        one original range, setindexes number the ranges of each class in order
+ *      other tags and comments are skipped (their text is kept)
+ *    'defs' has the tags used ({cls: {htmltag: .., htmltagend: ..}}, void tags like input have an empty 'htmltagend'
+ *      and their ranges run to the end of the enclosing element, so markers with void tags aren't recovered as markers),
+ *      'attrs' has the other attributes of each range ({"cls setindex": {attr: value, ...}, ...})
+ *  {ok, text, map, divergence} = SOT.map.roundtrip( html )
+ *    parses html, marks the result up again and compares it with html
+ *    'divergence' (when not ok) = {pos: .., html: .., markup: ..}, the first position where they differ and the text
+ *      around it in both
+ *
+ *  output = SOT.map.render( text, map, renderer )
+ *    renders a map in other formats, 'renderer' = {open( layer, segrange ), close( layer, segrange ), text( text )},
+ *      each returns a string (see SOT.map.walk), nesting and segmentation are the same as in the HTML
+ *      (the renderers below keep track of nesting, make a new one for each render)
+ *    renderer = SOT.map.renderers.ansi( styles )
+ *      ANSI terminal escape codes, styles = {class: SGR parameters, ...}, example: {keyword: '1;31', comment: '2'}
+ *      (styles don't nest in a terminal, so the styles of enclosing layers are reapplied after each layer ends)
+ *    renderer = SOT.map.renderers.markdown( styles )
+ *      styles = {class: delimiter or {open: .., close: ..} or {fence: 'lang'}, ...}
+ *        example: {keyword: '**', comment: '_', code: '`', codeblock: {fence: 'js'}}
+ *      text is escaped, except inside '`' delimiters and fences
+ *    renderer = SOT.map.renderers.latex( macros )
+ *      macros = {class: macro name or {open: .., close: ..}, ...}, example: {keyword: 'textbf', comment: 'emph'}
+ *      text is escaped
+ *    a class without a style of its own uses the styles of the words in it ("comment js" uses 'comment' and 'js');
+ *      classes without styles are output as plain text
  */
 SOT.map = {
-  markup: function( fulltext, map, opts, defs, callback ) {
+  safetags: ['mark', 'span', 'div', 'p', 'br', 'hr', 'a', 'b', 'i', 'u', 's', 'em', 'strong', 'small', 'sub', 'sup',
+             'code', 'pre', 'kbd', 'samp', 'var', 'q', 'cite', 'abbr', 'dfn', 'del', 'ins', 'blockquote',
+             'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'ul', 'ol', 'li', 'dl', 'dt', 'dd',
+             'table', 'thead', 'tbody', 'tr', 'th', 'td'],
+  safeattrs: ['class', 'id', 'title', 'lang', 'dir', 'href'],
+  urlattrs: ['href', 'src', 'action', 'formaction', 'xlink:href'],
+  safeschemes: ['http', 'https', 'mailto'],
+  /* tag and attribute builders shared by the renderers (see SOT.map.markup for opts, defs and callback) */
+  _tagger: function( fulltext, map, opts, defs, callback ) {
+    var safetags, safeattrs;
+    if (opts && opts.safe) {
+      safetags = opts.safe.tags ? opts.safe.tags : SOT.map.safetags;
+      safeattrs = opts.safe.attrs ? opts.safe.attrs : SOT.map.safeattrs;
+    }
+    function _def( layer ) {
+      return defs ? defs[layer.setname] : undefined;
+    }
+    function _istagsafe( tag ) {
+      return !safetags || safetags.indexOf( tag ) >= 0;
+    }
     function _tag( layer, end ) {
       var tag = 'mark';
+      const def = _def( layer );
       if (opts && opts.htmltag)
         tag = opts.htmltag;
-      if (defs)
-        if (end && defs[layer.setname].htmltagend != undefined)
-          tag = defs[layer.setname].htmltagend;
-        else
-          if (defs[layer.setname].htmltag)
-            tag = defs[layer.setname].htmltag;
+      if (def && def.htmltag)
+        tag = def.htmltag;
+      if (!_istagsafe( tag ))
+        return 'mark';
+      if (end && def && def.htmltagend != undefined && (!def.htmltagend || _istagsafe( def.htmltagend )))
+        tag = def.htmltagend;
       return tag;
     }
+    function _isattrsafe( a, value ) {
+      if (!safeattrs)
+        return true;
+      if (a != 'class' && safeattrs.indexOf( a.toLowerCase() ) < 0)
+        return false;
+      if (SOT.map.urlattrs.indexOf( a.toLowerCase() ) < 0)
+        return true;
+      /* (browsers drop tabs and newlines anywhere in a URL and control characters and spaces before it) */
+      const scheme = /^([^\/?#]*?):/.exec( String(value).replace( /[\t\n\r]/g, "" ).replace( /^[\x00-\x20]+/, "" ) );
+      return !scheme || SOT.map.safeschemes.indexOf( scheme[1].toLowerCase() ) >= 0;
+    }
     function _addattrs( attrs, addattrs, origrange ) {
       for( const a in addattrs )
         if (addattrs[a] instanceof RegExp)
           attrs[a] = SOT.text.extract( fulltext.slice(origrange.start,origrange.end), addattrs[a] );
         else
           if (typeof addattrs[a] == 'string')
-            attrs[a] = addattrs[a].replace( "$_&", fulltext.slice(origrange.start,origrange.end) );
+            attrs[a] = SOT.text.fillmatch( addattrs[a], fulltext.slice(origrange.start,origrange.end),
+                                           origrange.captures, origrange.named );
       return attrs;
     }
-    function _istagdif( seg, compareseg, layerindex ) {
-      return (!compareseg || layerindex >= compareseg.origs.length || 
-              seg.origs[layerindex].setname != compareseg.origs[layerindex].setname ||
-              seg.origs[layerindex].range.setindex != compareseg.origs[layerindex].range.setindex);
-    }
-    function _difdepth( seg, compareseg ) {
-      for( var depth=0; depth<seg.origs.length; depth++ )
-        if (_istagdif( seg, compareseg, depth ))
-          break;
-      return depth;
-    }
-    /*
-     * 
-     */
-    function _tagstart( seg, layer, mapindex, j, pieceindex, offset, insidetext ) {
-      var tag = _tag(layer), t = "";
+    function _attrs( seg, layer, mapindex, j ) {
       /* build class attribute */
       var attrs = {'class': layer.setname};
       if (layer.range.start == seg.start)
         attrs['class'] += " L";
-      if (defs && defs[layer.setname].htmlattrs)
-        attrs = _addattrs( attrs, defs[layer.setname].htmlattrs, layer.range );
+      if (_def( layer ) && _def( layer ).htmlattrs)
+        attrs = _addattrs( attrs, _def(layer).htmlattrs, layer.range );
       /* get dynamic attributes if any */
       if (callback)
         attrs = callback( {'attrs':attrs,
@@ -281,14 +1369,64 @@ SOT.map = {
                            'map':map,
                            'mapindex':mapindex,
                            layerindex:j, 
+                           data:layer.range.data,
                            'opts':opts} );
+      return attrs;
+    }
+    /* text of a segment; in static markup, the 'display' text of the outermost layer that has one replaces the text
+     *   of the layer's range (it is output with the first segment of the range, the others are empty) */
+    const displayed = new Set();
+    function _text( seg ) {
+      if (opts && opts.static)
+        for( const layer of seg.origs )
+          if (_def( layer ) && _def( layer ).display != undefined) {
+            if (displayed.has( layer.range ))
+              return "";
+            displayed.add( layer.range );
+            return SOT.map._display( fulltext, layer, _def(layer).display );
+          }
+      return fulltext.slice( seg.range.start, seg.range.end );
+    }
+    return {tag:_tag, attrs:_attrs, isattrsafe:_isattrsafe, text:_text};
+  },
+  /* 'display' text of a layer, see SOT.markup */
+  _display: function( fulltext, layer, display ) {
+    const matched = fulltext.slice( layer.range.start, layer.range.end );
+    if (typeof display == 'function')
+      return String( display({text:matched, 'class':layer.setname, range:layer.range,
+                              captures:layer.range.captures, named:layer.range.named, data:layer.range.data}) );
+    return SOT.text.fillmatch( display, matched, layer.range.captures, layer.range.named );
+  },
+  _istagdif: function( seg, compareseg, layerindex ) {
+    return (!compareseg || layerindex >= compareseg.origs.length || 
+            seg.origs[layerindex].setname != compareseg.origs[layerindex].setname ||
+            seg.origs[layerindex].range.setindex != compareseg.origs[layerindex].range.setindex);
+  },
+  /* depth of the first layer of 'seg' that isn't continued from/into 'compareseg' */
+  _difdepth: function( seg, compareseg ) {
+    for( var depth=0; depth<seg.origs.length; depth++ )
+      if (SOT.map._istagdif( seg, compareseg, depth ))
+        break;
+    return depth;
+  },
+  markup: function( fulltext, map, opts, defs, callback ) {
+    const tagger = SOT.map._tagger( fulltext, map, opts, defs, callback );
+    const _tag = tagger.tag, _difdepth = SOT.map._difdepth;
+    /*
+     * 
+     */
+    function _tagstart( seg, layer, mapindex, j, pieceindex, offset, insidetext ) {
+      var tag = _tag(layer), t = "";
+      const attrs = tagger.attrs( seg, layer, mapindex, j );
       /* markup html tag with attrs */
       t += "<" + tag;
       for( var a in attrs ) {
-        t += " " + a + (attrs[a] ? ('="' + attrs[a]) : '');
+        if (!tagger.isattrsafe( a, attrs[a] ))
+          continue;
+        t += " " + a + (attrs[a] ? ('="' + SOT.text.raw2attr(attrs[a])) : '');
         if (a == 'class') {
           t += "  ";
-          starts[layer.setname] = {pos: offset+t.length-1, 'pieceindex': pieceindex, 'j': j, 'seg': seg};
+          starts[SOT.text.map.query._key( layer )] = {pos: offset+t.length-1, 'pieceindex': pieceindex, 'j': j, 'seg': seg};
         }
         t += attrs[a] ? '"' : '';
       }
@@ -313,19 +1451,21 @@ SOT.map = {
       var j =_difdepth( seg, nextseg );
       for( var t="",k=seg.origs.length-1; k>=j; k-- )
         t += _tagend( seg.origs[k] );
-      return {tags:t};
+      return {tags:t, closed:j < seg.origs.length};
     }
     function _setlayerright( seg ) {
       var piece = "";
       for( const layer of seg.origs ) {
-        if (starts[layer.setname] && layer.range.end == seg.range.end) {
+        /* (starts are kept per layer, several layers of a set can be open at once) */
+        const key = SOT.text.map.query._key( layer );
+        if (starts[key] && layer.range.end == seg.range.end) {
           /* (insert 'R' in class list) */
-          piece = html[starts[layer.setname].pieceindex];
-          piece = piece.slice( 0, starts[layer.setname].pos ) +
+          piece = html[starts[key].pieceindex];
+          piece = piece.slice( 0, starts[key].pos ) +
                   "R" +
-                  piece.slice( starts[layer.setname].pos+1 );
-          html[starts[layer.setname].pieceindex] = piece;
-          delete starts[layer.setname];
+                  piece.slice( starts[key].pos+1 );
+          html[starts[key].pieceindex] = piece;
+          delete starts[key];
         }
       }
     }
@@ -340,14 +1480,16 @@ SOT.map = {
         hs += piece;
       return hs;
     }
+    const win = opts && opts.window ? opts.window : {start:0, end:fulltext.length};
+    if (opts && opts.window)
+      map = SOT.text.map.slice( map, win.start, win.end );
     var text = "", start = {}, end = {}, starts = {};
     var prevseg, seg, nextseg;
-    for( var i=0,n=0; i<map.length; prevseg=seg,i++ ) {
+    for( var i=0,n=win.start; i<map.length; prevseg=seg,i++ ) {
       seg = map[i];
       htmladd( SOT.text.raw2HTML(fulltext.slice(n, seg.range.start)) );
       nextseg = i < map.length-1 ? map[i+1] : null;
-      start = _layersstart( prevseg, seg, i, text ? html.length+1 : html.length, 
-                            SOT.text.raw2HTML(fulltext.slice(seg.range.start,seg.range.end)) );
+      start = _layersstart( prevseg, seg, i, text ? html.length+1 : html.length, SOT.text.raw2HTML(tagger.text(seg)) );
       if (start.tags) {
         htmladd( text ), text = "";
         htmladd( start.tags );
@@ -361,11 +1503,328 @@ SOT.map = {
           htmladd( text + end.tags ), text = "";
         else
           htmladd( end.tags );
-        _setlayerright( seg );
       }
+      /* (layers without end tags, like void tags, are closed too) */
+      if (end.closed)
+        _setlayerright( seg );
+      n = seg.range.end;
+    }
+    return htmlstring() + SOT.text.raw2HTML( fulltext.slice(n, win.end) );
+  },
+  walk: function( fulltext, map, visitor, win={start:0, end:fulltext.length} ) {
+    var prevseg, seg, nextseg;
+    for( var i=0,n=win.start; i<map.length; prevseg=seg,i++ ) {
+      seg = map[i];
+      nextseg = i < map.length-1 ? map[i+1] : null;
+      if (n < seg.range.start)
+        visitor.text( fulltext.slice(n, seg.range.start), null, -1 );
+      for( var j=SOT.map._difdepth(seg, prevseg); j<seg.origs.length; j++ )
+        visitor.open( seg.origs[j], seg.range, i, j );
+      visitor.text( fulltext.slice(seg.range.start, seg.range.end), seg.range, i );
+      for( var k=seg.origs.length-1,d=SOT.map._difdepth(seg, nextseg); k>=d; k-- )
+        visitor.close( seg.origs[k], seg.range, i, k );
       n = seg.range.end;
     }
-    return htmlstring() + SOT.text.raw2HTML( fulltext.slice(n) );
+    if (n < win.end)
+      visitor.text( fulltext.slice(n, win.end), null, -1 );
+  },
+  nodes: function( fulltext, map, opts, defs, callback ) {
+    if (opts && opts.window)
+      map = SOT.text.map.slice( map, opts.window.start, opts.window.end );
+    const tagger = SOT.map._tagger( fulltext, map, opts, defs, callback );
+    const doc = opts && opts.document !== undefined ? opts.document : (typeof document == 'object' ? document : null);
+    const root = doc ? doc.createDocumentFragment() : {children:[]};
+    /* 'parents' are where content goes, 'elems' are the open elements (a void element isn't a parent) */
+    const parents = [root], elems = [];
+    function append( node ) {
+      const parent = parents[parents.length-1];
+      if (doc)
+        parent.appendChild( node );
+      else
+        if (typeof node == 'string' && typeof parent.children[parent.children.length-1] == 'string')
+          parent.children[parent.children.length-1] += node;
+        else
+          parent.children.push( node );
+    }
+    SOT.map.walk( fulltext, map, {
+      open: function( layer, segrange, mapindex, layerindex ) {
+        const tag = SOT.text.extractto( tagger.tag(layer), /^[A-Za-z0-9-_]+/ );
+        const attrs = tagger.attrs( segrange, layer, mapindex, layerindex );
+        const elem = doc ? doc.createElement( tag ) : {'tag':tag, attrs:{}, children:[]};
+        for( const a in attrs )
+          if (tagger.isattrsafe( a, attrs[a] ))
+            if (doc)
+              elem.setAttribute( a, attrs[a] ? attrs[a] : "" );
+            else
+              elem.attrs[a] = attrs[a] ? String( attrs[a] ) : "";
+        append( elem );
+        elems.push( elem );
+        parents.push( tagger.tag(layer, true) ? elem : parents[parents.length-1] );
+      },
+      text: function( text, segrange, mapindex ) {
+        if (mapindex >= 0)
+          text = tagger.text( map[mapindex] );
+        if (text)
+          append( doc ? doc.createTextNode(text) : text );
+      },
+      close: function( layer, segrange ) {
+        const elem = elems.pop();
+        parents.pop();
+        if (layer.range.end == segrange.end)
+          if (doc)
+            elem.classList.add( 'R' );
+          else
+            if (elem.attrs['class'] != undefined)
+              elem.attrs['class'] += " R";
+      }
+    }, opts && opts.window ? opts.window : undefined );
+    if (doc)
+      root.normalize();
+    return root;
+  },
+  totree: function( fulltext, map, opts, defs ) {
+    const tagger = SOT.map._tagger( fulltext, map, opts, defs );
+    const root = {range:{start:0, end:fulltext.length}, children:[]}, parents = [root];
+    var pos = 0;
+    SOT.map.walk( fulltext, map, {
+      open: function( layer, segrange ) {
+        const elem = {'class':layer.setname, tag:SOT.text.extractto( tagger.tag(layer), /^[A-Za-z0-9-_]+/ ),
+                      range:Object.assign( {}, layer.range ), span:{start:segrange.start, end:segrange.start},
+                      L:layer.range.start == segrange.start, R:false, children:[]};
+        parents[parents.length-1].children.push( elem );
+        parents.push( elem );
+      },
+      text: function( text ) {
+        parents[parents.length-1].children.push( {'text':text, range:{start:pos, end:pos+text.length}} );
+        pos += text.length;
+      },
+      close: function( layer, segrange ) {
+        const elem = parents.pop();
+        elem.span.end = segrange.end, elem.R = layer.range.end == segrange.end;
+      }
+    } );
+    return root;
+  },
+  render: function( fulltext, map, renderer ) {
+    var output = "";
+    SOT.map.walk( fulltext, map, {
+      open: function( layer, segrange ) {
+        output += renderer.open( layer, segrange );
+      },
+      text: function( text ) {
+        output += renderer.text( text );
+      },
+      close: function( layer, segrange ) {
+        output += renderer.close( layer, segrange );
+      }
+    } );
+    return output;
+  },
+  /* styles of a class: its own, or those of the words in it */
+  _styles: function( styles, setname ) {
+    if (styles[setname] != undefined)
+      return [styles[setname]];
+    return setname.split( /\s+/ ).filter( cls => styles[cls] != undefined ).map( cls => styles[cls] );
+  },
+  renderers: {
+    ansi: function( styles ) {
+      const stack = [];
+      function sgr() {
+        var codes = "\x1b[0m";
+        for( const style of stack )
+          codes += style ? "\x1b[" + style + "m" : "";
+        return codes;
+      }
+      return {
+        open: function( layer ) {
+          const style = SOT.map._styles( styles, layer.setname ).join( ';' );
+          stack.push( style );
+          return style ? "\x1b[" + style + "m" : "";
+        },
+        close: function() {
+          return stack.pop() ? sgr() : "";
+        },
+        text: function( text ) {
+          return text;
+        }
+      };
+    },
+    markdown: function( styles ) {
+      /* (per layer: the close strings of its styles, and whether it's code) */
+      const stack = [];
+      function incode() {
+        return stack.some( layer => layer.code );
+      }
+      return {
+        open: function( layer ) {
+          var open = "", closes = [], code = false;
+          for( const style of SOT.map._styles(styles, layer.setname) )
+            if (typeof style == 'string')
+              open += style, closes.unshift( style ), code = code || style[0] == '`';
+            else
+              if (style.fence != undefined)
+                open += "```" + style.fence + "\n", closes.unshift( "\n```" ), code = true;
+              else
+                open += style.open, closes.unshift( style.close );
+          stack.push( {'closes':closes, 'code':code} );
+          return open;
+        },
+        close: function() {
+          return stack.pop().closes.join( "" );
+        },
+        text: function( text ) {
+          return incode() ? text : text.replace( /[\\`*_\[\]<>#|~]/g, "\\$&" );
+        }
+      };
+    },
+    latex: function( macros ) {
+      const stack = [];
+      const escapes = {'\\':"\\textbackslash{}", '{':"\\{", '}':"\\}", '$':"\\$", '&':"\\&", '#':"\\#",
+                       '^':"\\textasciicircum{}", '_':"\\_", '%':"\\%", '~':"\\textasciitilde{}"};
+      return {
+        open: function( layer ) {
+          var open = "", close = "";
+          for( const macro of SOT.map._styles(macros, layer.setname) )
+            if (typeof macro == 'string')
+              open += "\\" + macro + "{", close = "}" + close;
+            else
+              open += macro.open, close = macro.close + close;
+          stack.push( close );
+          return open;
+        },
+        close: function() {
+          return stack.pop();
+        },
+        text: function( text ) {
+          return text.replace( /[\\{}$&#^_%~]/g, c => escapes[c] );
+        }
+      };
+    }
+  },
+  voidtags: ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'],
+  _entities: {amp:'&', lt:'<', gt:'>', quot:'"', apos:"'", nbsp:'\u00a0'},
+  _decode: function( html ) {
+    return html.replace( /&(?:#(\d+)|#x([0-9a-fA-F]+)|(\w+));/g, function( entity, dec, hex, name ) {
+      if (dec || hex)
+        return String.fromCodePoint( dec ? parseInt(dec,10) : parseInt(hex,16) );
+      return SOT.map._entities[name] != undefined ? SOT.map._entities[name] : entity;
+    } );
+  },
+  parse: function( html ) {
+    const map = [], defs = {}, attrs = {}, openranges = {}, setindexes = {};
+    /* open elements: {tag, orig, content} ('orig' is null for elements that aren't layers) */
+    const stack = [];
+    var text = "";
+    function origs() {
+      return stack.filter( elem => elem.orig ).map( elem => elem.orig );
+    }
+    function addsegment( start, end ) {
+      const layers = origs(), last = map[map.length-1];
+      for( const elem of stack )
+        elem.content = true;
+      if (!layers.length)
+        return;
+      /* (text split by skipped tags or comments is one segment) */
+      if (last && start < end && last.range.start < last.range.end && last.range.end == start &&
+          last.origs.length == layers.length && last.origs.every( (orig, i) => orig === layers[i] ))
+        last.range.end = end;
+      else
+        map.push( SOT.text.map.range.mk(start, end, layers) );
+    }
+    function open( tag, attrstr ) {
+      const a = {};
+      for( const m of attrstr.matchAll(/([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g) )
+        a[m[1]] = SOT.map._decode( m[2] != undefined ? m[2] : m[3] != undefined ? m[3] : m[4] != undefined ? m[4] : "" );
+      const elem = {'tag':tag, orig:null, content:false};
+      if (a['class'] != undefined) {
+        /* class list is "cls L R", "cls L", "cls R" or "cls" */
+        const classes = a['class'].trim().split( /\s+/ );
+        const right = classes.length > 1 && classes[classes.length-1] == 'R' ? classes.pop() : false;
+        const left = classes.length > 1 && classes[classes.length-1] == 'L' ? classes.pop() : false;
+        const setname = classes.join( ' ' );
+        if (left || !openranges[setname]) {
+          setindexes[setname] = setindexes[setname] != undefined ? setindexes[setname]+1 : 0;
+          openranges[setname] = {'setname':setname, range:{start:text.length, end:text.length, setindex:setindexes[setname]}};
+          delete a['class'];
+          if (Object.keys( a ).length)
+            attrs[setname + ' ' + setindexes[setname]] = a;
+        }
+        elem.orig = openranges[setname], elem.right = right;
+        if (tag != 'mark')
+          defs[setname] = SOT.map.voidtags.indexOf( tag ) >= 0 ? {htmltag:tag, htmltagend:''} : {htmltag:tag};
+      }
+      stack.push( elem );
+    }
+    /* closes the most recent 'tag' element and any left open inside it, like void elements ('tag' null closes all) */
+    function close( tag ) {
+      var k = tag ? stack.length-1 : 0;
+      for( ; tag && k >= 0 && stack[k].tag != tag; k-- )
+        ;
+      while( k >= 0 && stack.length > k ) {
+        if (!stack[stack.length-1].content)
+          addsegment( text.length, text.length );
+        const elem = stack.pop();
+        if (elem.orig) {
+          elem.orig.range.end = text.length;
+          if (elem.orig.range.start == elem.orig.range.end)
+            elem.orig.range.marker = true;
+          if (elem.right)
+            delete openranges[elem.orig.setname];
+        }
+      }
+    }
+    for( const m of html.matchAll(/<!--[\s\S]*?-->|<\/([A-Za-z][\w-]*)\s*>|<([A-Za-z][\w-]*)((?:\s+[^\s"'>\/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*\/?>|[^<]+|</g) )
+      if (m[1])
+        close( m[1].toLowerCase() );
+      else
+        if (m[2])
+          open( m[2].toLowerCase(), m[3] );
+        else
+          if (!m[0].startsWith( '<!--' )) {
+            const t = SOT.map._decode( m[0] );
+            addsegment( text.length, text.length+t.length );
+            text += t;
+          }
+    close( null );
+    return {'text':text, 'map':map, 'defs':defs, 'attrs':attrs};
+  },
+  roundtrip: function( html ) {
+    const parsed = SOT.map.parse( html );
+    const markup = SOT.map.markup( parsed.text, parsed.map, undefined, parsed.defs, function( params ) {
+      const layer = params.map[params.mapindex].origs[params.layerindex];
+      return Object.assign( params.attrs, parsed.attrs[layer.setname + ' ' + layer.range.setindex] );
+    } );
+    const ret = {ok:markup === html, text:parsed.text, map:parsed.map};
+    if (!ret.ok) {
+      var pos = 0;
+      for( ; pos < html.length && html[pos] === markup[pos]; pos++ )
+        ;
+      ret.divergence = {'pos':pos, html:html.slice(Math.max(0,pos-40), pos+40), markup:markup.slice(Math.max(0,pos-40), pos+40)};
+    }
+    return ret;
+  },
+  fromtree: function( tree ) {
+    const map = [], ranges = {};
+    var text = "";
+    /* (the pieces of a segmented range share its original range, as in a built map) */
+    function orig( elem ) {
+      const key = JSON.stringify( [elem.class, elem.range.setindex, elem.range.start, elem.range.end] );
+      if (!ranges[key])
+        ranges[key] = Object.assign( {}, elem.range );
+      return {setname:elem.class, range:ranges[key]};
+    }
+    function add( elem, origs ) {
+      for( const child of elem.children )
+        if (child.children)
+          add( child, [...origs, orig(child)] );
+        else {
+          if (origs.length)
+            map.push( SOT.text.map.range.mk(child.range.start, child.range.end, origs) );
+          text += child.text;
+        }
+    }
+    add( tree, [] );
+    return {'text':text, 'map':map};
   }
 }
 
@@ -403,6 +1862,30 @@ SOT.text = {
     newtext = newtext.replace( />/g, "&gt;" );
     return newtext.replace( /</g, "&lt;" );
   },
+  /* replace $_& (matched text), $1..$9 and $<name> (capture groups) in 'template' */
+  fillmatch: function( template, matched, captures=[], named={} ) {
+    return template.replace( /\$_&|\$([1-9])|\$<([^>]*)>/g, function( wildcard, n, name ) {
+      var s = matched;
+      if (n)
+        s = captures[n-1];
+      else
+        if (name !== undefined)
+          s = named[name];
+      return s === undefined ? "" : s;
+    } );
+  },
+  /* escape text for use in a quoted attribute value */
+  raw2attr: function( text ) {
+    return SOT.text.raw2HTML( String(text) ).replace( /"/g, "&quot;" ).replace( /'/g, "&#39;" );
+  },
+  /* position where a global regex resumes matching after a match (empty matches advance one character) */
+  advance: function( text, start, end, unicode ) {
+    if (end > start)
+      return end;
+    if (unicode && end+1 < text.length && text.codePointAt( end ) > 0xffff)
+      return end + 2;
+    return end + 1;
+  },
   startswith: function( s, sub ) {
     return s && sub && s.substring( 0, sub.length ) == sub;
   },
@@ -416,14 +1899,59 @@ SOT.text = {
     s = s.match( sub );
     return s[0];
   },
-  /* replace range */
-  paste: function( text, range, replacewith ) {
+  /* range in 'oldtext' that was replaced to produce 'newtext' (common prefix and suffix excluded) */
+  diffrange: function( oldtext, newtext ) {
+    const n = Math.min( oldtext.length, newtext.length );
+    var start = 0, tail = 0;
+    for( ; start < n && oldtext[start] == newtext[start]; start++ )
+      ;
+    for( ; tail < n-start && oldtext[oldtext.length-1-tail] == newtext[newtext.length-1-tail]; tail++ )
+      ;
+    return {'start':start, end:oldtext.length-tail};
+  },
+  /* replace range, 'range' can carry the capture groups of its match (see SOT.text.replacement) */
+  paste: function( text, range, replacewith, opts ) {
     var newtext = text.slice( 0, range.start );
-    var token = text.substring( range.start, range.end );
-    //newtext += token.replace( SOT.text.str2regex(token,''), replacewith );
-    newtext += token.replace( token, replacewith );
+    newtext += SOT.text.replacement( text, range, replacewith, opts );
     newtext += text.slice( range.end );
     return newtext;
+  },
+  /* text that replaces range 'r' of 'text':
+   *   a string is inserted as is, unless opts={groups:true}, in which case it is expanded against the match
+   *     like String.replace: $& == matched text, $1..$99 == capture group, $<name> == named capture group, $$ == $
+   *   a function is called as replacewith( match, groups, r ), where 'match' is rebuilt from the range's
+   *     captures like a RegExpMatchArray (match[0] is the matched text) and 'groups' are its named groups
+   */
+  replacement: function( text, r, replacewith, opts={} ) {
+    const matched = text.substring( r.start, r.end );
+    if (typeof replacewith == 'function') {
+      const match = [matched].concat( r.captures ? r.captures : [] );
+      match.index = r.start, match.input = text, match.groups = r.named;
+      return String( replacewith(match, r.named, r) );
+    }
+    if (!opts.groups)
+      return replacewith;
+    return SOT.text.expandreplacement( replacewith, matched, r.captures, r.named );
+  },
+  /* expand $&, $1..$99, $<name> and $$ in 'replacewith' (wildcards that don't refer to a group are kept) */
+  expandreplacement: function( replacewith, matched, captures=[], named ) {
+    return replacewith.replace( /\$(\$|&|([0-9])([0-9]?)|<([^>]*)>)/g, function( wildcard, w, d1, d2, name ) {
+      if (w == '$')
+        return '$';
+      if (w == '&')
+        return matched;
+      if (name !== undefined) {
+        if (!named)
+          return wildcard;
+        return named[name] === undefined ? "" : named[name];
+      }
+      var n = Number( d1+d2 ), rest = "";
+      if (!d2 || n > captures.length)
+        n = Number( d1 ), rest = d2;
+      if (n < 1 || n > captures.length)
+        return wildcard;
+      return (captures[n-1] === undefined ? "" : captures[n-1]) + rest;
+    } );
   }
 }
 
@@ -437,7 +1965,85 @@ SOT.text = {
  *    map = SOT.text.map.addrange( text, range, setname, segment?, map=[] )
  *      adds a range to map
  *
+ *    map = SOT.text.map.addranges( text, ranges, setname, segment?, map=[] )
+ *      adds an ordered array of ranges to map (as addmatches does with the ranges of regex matches)
+ *
+ *    ranges = SOT.text.map.matchranges( text, regex, groups, deadline, filter )
+ *      ranges of regex matches (throws if regex has no 'g' flag)
+ *      with 'groups' ({1:'cls1', name:'cls2', ...}), each range includes 'groups': [range of each group or null]
+ *      with 'filter', only the matches for which filter( match, text ) is true (see 'filter' in SOT.markup)
+ *      'regex' can also be a 'match' function, see SOT.text.map.funcranges
+ *    ranges = SOT.text.map.funcranges( text, match, deadline )
+ *      ranges returned by match( text ) (an iterable of {start: .., end: .., data: ..}), ordered by start,
+ *        ranges that overlap an earlier one (or aren't inside the text) are dropped
+ *    ranges = SOT.text.map.updateranges( ranges, oldtext, newtext, regex, editrange, boundary, groups, deadline, filter )
+ *      updates matchranges of 'oldtext' for 'newtext', see SOT.PatternSeries.updatemap
+ *
+ *    ranges = SOT.text.map.setranges( map, setname )
+ *      original ranges of a set in map (segments merged by 'setindex'), ordered by start
+ *
+ *    sliced = SOT.text.map.slice( map, start, end )
+ *      segments of map that overlap start..end, clipped to it (used to mark up a window, see SOT.map.markup)
+ *
+ *  Set operations (maps of the same text, ranges are compared by set, start and end):
+ *
+ *    map = SOT.text.map.union( text, map1, map2 )
+ *      ranges that are in either map
+ *    map = SOT.text.map.intersection( text, map1, map2 )
+ *      ranges that are in both maps
+ *    map = SOT.text.map.difference( text, map1, map2 )
+ *      ranges of map1 that aren't in map2
+ *    (sets are layered in the order they first appear in map1 then map2, the maps can be marked up with SOT.map.markup)
+ *
+ *    diff = SOT.text.map.diff( text, map1, map2, oldtext )
+ *      changes from map1 to map2, per set:
+ *        diff = {added: {setname: [ranges]}, removed: {setname: [..]}, changed: {setname: [{from: .., to: ..}]}, map: ..}
+ *        a range of map1 that isn't in map2 but overlaps one that isn't in map1 was changed, otherwise removed
+ *        'map' has the ranges as sets "removed setname", "changed setname" (the new range) and "added setname"
+ *          (renders with CSS classes 'added', 'removed', 'changed' and the set's own)
+ *      with 'oldtext', map1 is a map of 'oldtext' (before it was edited into 'text'), its ranges are moved to 'text'
+ *        first (ranges after the edit are shifted, ends inside the replaced text move to the ends of the new text)
+ *      example, reviewing a pattern change: SOT.text.map.diff( text, oldpatterns.buildmap(text), newpatterns.buildmap(text) )
+ *
+ *  Queries (a 'layer' is an element of a segment's 'origs', {setname: .., range: ..}, the range is the original range):
+ *
+ *    layers = SOT.text.map.query.layersat( pos, map )
+ *      layers covering the character at 'pos', background to foreground ([] if none)
+ *    classes = SOT.text.map.query.classesat( pos, map )
+ *      set names of those layers
+ *    layer = SOT.text.map.query.innermost( pos, map, setname )
+ *    layer = SOT.text.map.query.outermost( pos, map, setname )
+ *      foreground/background layer of set 'setname' at 'pos' (of any set if no 'setname'), null if none
+ *        example: the block enclosing the caret is SOT.text.map.query.outermost( caret, map, 'block' ).range
+ *    ranges = SOT.text.map.query.ranges( map, setname )
+ *      same as SOT.text.map.setranges
+ *    layers = SOT.text.map.query.parents( map, layer )
+ *      layers that enclose all of 'layer' (are under it in all of its segments), outermost first
+ *        (the last one is the parent)
+ *    layers = SOT.text.map.query.children( map, layer )
+ *      layers whose parent is 'layer'
+ *    counts = SOT.text.map.query.counts( map )
+ *      number of original ranges of each set, {setname: count, ...}
+ *    ranges = SOT.text.map.scoperanges( text, map, within, notwithin )
+ *      ranges covered by sets 'within' and not by sets 'notwithin' (set name or array of set names, either optional)
+ *    ranges = SOT.text.map.matchrangesin( text, regex, scope, groups, deadline, filter )
+ *      ranges of regex matches inside each range of 'scope' (regex is run on the text of each range)
+ *    rangesets = SOT.text.map.regionranges( text, regions )
+ *      scans for mutually exclusive regions, regions = [{begin: regex, end: regex}, ...] (regex's or regex strings,
+ *      'end' is optional)
+ *      returns an array of ranges for each region
+ *
+ *    map = SOT.text.map.addmatches( text, regex, setname, segment?, map=[], alertiferror, groups, filter )
+ *      with 'groups', the capture group ranges of each match are also added (see SOT.markup comments)
+ *      'regex' can also be a 'match' function and 'filter' vetoes matches (see matchranges), a range's 'data' is kept
+ *        in its layers (origs[..].range.data), where the markup callback gets it
+ *    map = SOT.text.map.addgroupranges( text, ranges, groups, segment?, map=[] )
+ *      adds the group ranges of matchranges, a set per group
+ *    map = SOT.text.map.addmarkers( text, ranges, setname, map=[] )
+ *      adds a zero-width marker segment at the start of each range (see 'marker' in SOT.markup comments)
+ *
  *  Maps are ordered arrays, each element has the form {range:{start:., end:.}, origs:[...]}
+ *    marker segments are zero-width (start == end), their top layer's range has 'marker': true
  *
  *  Maps are flat, 'segment?' determines how ranges that overlap or cover others are treated when being added:
  *    !: range being added will overwrite any it overlaps or covers (usurped ranges are discarded)
@@ -451,20 +2057,26 @@ SOT.text = {
  *
  *  Replace operations:
  *
- *    text = SOT.text.map.replace( text, map, i, newtext )
+ *    text = SOT.text.map.replace( text, map, i, newtext, opts? )
  *      replaces range i in text with newtext
  *
- *    text = SOT.text.map.replaceall( text, map, i, replacewiths )
+ *    text = SOT.text.map.replaceall( text, map, replacewiths, opts? )
  *      replaces all ranges, replacewiths = {setname:"new text", ...}
  *      segment's setname determines the replacement text to use (replacewiths[segment.origs[0].setname])
  *
+ *   Replacement strings are inserted as is, use opts={groups:true} to expand $&, $1..$99, $<name> and $$
+ *     against each range's original match, a replacement can also be a function( match, groups, range )
+ *     example: SOT.text.map.replaceall( text, map, {date: "$<d>/$<m>/$<y>"}, {groups:true} )
+ *              SOT.text.map.replaceall( text, map, {word: (match) => match[0].toUpperCase()} )
+ *
  *   Segmented ranges are ignored during replacements (replace ops on segments are nonsensical)
  */
 SOT.text.map = {
   range: {
     neworigs: function( setname, range={start:0,end:0,setindex:0} ) {
       if (typeof setname == 'string')
-        return [{'setname':setname, 'range':{start:range.start,end:range.end,'setindex':range.setindex}}];
+        return [{'setname':setname,
+                 'range':SOT.text.map._matchdata( range, {start:range.start,end:range.end,'setindex':range.setindex} )}];
       return set;
     },
     mk: function( start, end, origs ) {
@@ -527,6 +2139,80 @@ SOT.text.map = {
      return i;
     }
   },
+  query: {
+    /* (a layer is identified by its set and setindex, the pieces of a segmented range share them) */
+    _key: function( layer ) {
+      return layer.setname + ' ' + layer.range.setindex;
+    },
+    layersat: function( pos, map ) {
+      const i = SOT.text.map.range.next( pos, map );
+      if (i < 0 || i >= map.length || map[i].range.start > pos)
+        return [];
+      return map[i].origs.slice();
+    },
+    classesat: function( pos, map ) {
+      const classes = [];
+      for( const layer of SOT.text.map.query.layersat(pos, map) )
+        if (classes.indexOf( layer.setname ) < 0)
+          classes.push( layer.setname );
+      return classes;
+    },
+    innermost: function( pos, map, setname ) {
+      const layers = SOT.text.map.query.layersat( pos, map ).filter( layer => !setname || layer.setname == setname );
+      return layers.length ? layers[layers.length-1] : null;
+    },
+    outermost: function( pos, map, setname ) {
+      const layers = SOT.text.map.query.layersat( pos, map ).filter( layer => !setname || layer.setname == setname );
+      return layers.length ? layers[0] : null;
+    },
+    ranges: function( map, setname ) {
+      return SOT.text.map.setranges( map, setname );
+    },
+    /* segments of a layer's range, with the index of the layer in each */
+    _pieces: function( map, layer ) {
+      const key = SOT.text.map.query._key( layer ), pieces = [];
+      for( var i=SOT.text.map.range.next( layer.range.start-1, map ); i >= 0 && i < map.length &&
+                                                                     map[i].range.start <= layer.range.end; i++ ) {
+        const j = map[i].origs.findIndex( l => SOT.text.map.query._key(l) == key );
+        if (j >= 0)
+          pieces.push( {seg:map[i], 'j':j} );
+      }
+      return pieces;
+    },
+    parents: function( map, layer ) {
+      var parents = null;
+      for( const piece of SOT.text.map.query._pieces(map, layer) ) {
+        const keys = piece.seg.origs.slice( 0, piece.j ).map( SOT.text.map.query._key );
+        parents = parents ? parents.filter( p => keys.indexOf(SOT.text.map.query._key(p)) >= 0 )
+                          : piece.seg.origs.slice( 0, piece.j );
+      }
+      return parents ? parents : [];
+    },
+    children: function( map, layer ) {
+      const key = SOT.text.map.query._key( layer ), children = [], seen = {};
+      for( const piece of SOT.text.map.query._pieces(map, layer) )
+        for( const child of piece.seg.origs.slice(piece.j+1) ) {
+          const childkey = SOT.text.map.query._key( child );
+          if (!seen[childkey]) {
+            seen[childkey] = true;
+            const parents = SOT.text.map.query.parents( map, child );
+            if (parents.length && SOT.text.map.query._key( parents[parents.length-1] ) == key)
+              children.push( child );
+          }
+        }
+      return children;
+    },
+    counts: function( map ) {
+      const counts = {}, seen = {};
+      for( const seg of map )
+        for( const layer of seg.origs )
+          if (!seen[SOT.text.map.query._key( layer )]) {
+            seen[SOT.text.map.query._key( layer )] = true;
+            counts[layer.setname] = (counts[layer.setname] ? counts[layer.setname] : 0) + 1;
+          }
+      return counts;
+    }
+  },
   /*
    * segmentation loop illustration (_segment):
    *
@@ -557,10 +2243,22 @@ SOT.text.map = {
     if (r.start < r.end)
       p.newmap.push( SOT.text.map.range.mk(r.start,r.end,r.start<i.range.start?m.origs:i.origs) );
     r = {start:Math.max(m.range.start, i.range.start), end:Math.min(m.range.end, i.range.end)};
-    p.newmap.push( SOT.text.map.range.mk(r.start,r.end,[...i.origs,...m.origs]) );
+    p.newmap.push( SOT.text.map.range.mk(r.start,r.end,SOT.text.map._overlayorigs(i.origs,m.origs)) );
     r = {start:Math.min(m.range.end, i.range.end), end:Math.max(m.range.end, i.range.end)};
     return SOT.text.map.range.mk( r.start, r.end, r.start<m.range.end?m.origs:i.origs );
   },
+  /* origs of an intersection, the new layers go under any markers (markers are always on top, see addmarkers) */
+  _overlayorigs: function( origs, neworigs ) {
+    const k = SOT.text.map._markerindex( origs );
+    return k < origs.length ? [...origs.slice(0,k), ...neworigs, ...origs.slice(k)] : [...origs, ...neworigs];
+  },
+  /* index of the first marker layer in origs (origs.length if none) */
+  _markerindex: function( origs ) {
+    var k = 0;
+    for( ; k < origs.length && !origs[k].range.marker; k++ )
+      ;
+    return k;
+  },
   _segment: function( start, end, origs, map=[], p ) {
     var m = SOT.text.map.range.mk( start, end, origs );
     if (p.newmap.length && m.range.start < p.newmap[p.newmap.length-1].range.end) {
@@ -584,10 +2282,11 @@ SOT.text.map = {
     return p;
   },
   /* insert a range into map; overwrite or segment overlapping/covered ranges */
-  _insertrange: function( start, end, set, map, segment, p={newmap:[],i:0,setindex:0} ) {
+  _insertrange: function( start, end, set, map, segment, p={newmap:[],i:0,setindex:0}, match ) {
     for( ; p.i < map.length && map[p.i].range.end <= start; p.i++ )  // add all before entries
       p.newmap.push( map[p.i] );
-    var origs = SOT.text.map.range.neworigs( set, {'start':start,'end':end,'setindex':p.setindex} );
+    var origs = SOT.text.map.range.neworigs( set,
+                                             SOT.text.map._matchdata(match, {'start':start,'end':end,'setindex':p.setindex}) );
     if (segment)
       p = SOT.text.map._segment( start, end, origs, map, p );
     else
@@ -600,25 +2299,640 @@ SOT.text.map = {
       p.newmap.push( map[p.i] );
     return p.newmap;
   },
-  /* add ranges from regex match to map */
-  addmatches: function( text, regex, setname, segment, map=[], alertiferror ) {
-    var p = {newmap:[],i:0,setindex:0};
-    var matches;
+  /* range of a regex match, including ranges of capture groups when 'groups' is set */
+  _matchrange: function( match, groups ) {
+    const r = {start:match.index, end:match.index+match[0].length};
+    if (match.length > 1)
+      r.captures = match.slice( 1 ), r.named = match.groups;
+    if (groups) {
+      r.groups = [];
+      for( const key in groups ) {
+        const indices = isNaN( key ) ? (match.indices.groups ? match.indices.groups[key] : undefined) : match.indices[key];
+        r.groups.push( indices && indices[0] < indices[1] ? {start:indices[0], end:indices[1]} : null );
+      }
+    }
+    return r;
+  },
+  /* (group ranges are taken from match indices, which need the 'd' flag) */
+  _groupsregex: function( regex, groups ) {
+    if (groups && !regex.hasIndices)
+      return new RegExp( regex.source, regex.flags+'d' );
+    return regex;
+  },
+  /* ranges of regex matches */
+  matchranges: function( text, regex, groups, deadline, filter ) {
+    if (typeof regex == 'function')
+      return SOT.text.map.funcranges( text, regex, deadline );
+    const ranges = [];
+    for( const match of text.matchAll(SOT.text.map._groupsregex(regex,groups)) ) {
+      SOT.text.map._checkdeadline( deadline );
+      if (!filter || filter( match, text ))
+        ranges.push( SOT.text.map._matchrange(match,groups) );
+    }
+    SOT.text.map._checkdeadline( deadline );
+    return ranges;
+  },
+  /* ranges returned by a 'match' function, ordered by start (longest first), ranges that overlap an earlier one and
+   *   ranges that aren't inside the text are dropped; 'data' is kept with each range */
+  funcranges: function( text, match, deadline ) {
+    const found = [];
+    for( const r of match( text ) || [] ) {
+      SOT.text.map._checkdeadline( deadline );
+      if (r && Number.isInteger( r.start ) && Number.isInteger( r.end ) && 0 <= r.start && r.start <= r.end &&
+          r.end <= text.length)
+        found.push( SOT.text.map._matchdata(r, {start:r.start, end:r.end}) );
+    }
+    SOT.text.map._checkdeadline( deadline );
+    found.sort( (a,b) => a.start - b.start || b.end - a.end );
+    const ranges = [];
+    for( const r of found )
+      if (!ranges.length || r.start >= ranges[ranges.length-1].end)
+        ranges.push( r );
+    return ranges;
+  },
+  /* throws a SOTTimeBudgetError when 'deadline' (a Date.now() time, 0 for none) has passed */
+  _checkdeadline: function( deadline ) {
+    if (deadline && Date.now() > deadline)
+      throw SOT.text.map._budgeterror();
+  },
+  _budgeterror: function( setname, elapsed ) {
+    const e = new Error( 'time budget exceeded' + (setname ? ' by ' + setname : '') );
+    e.name = 'SOTTimeBudgetError', e.setname = setname, e.elapsed = elapsed;
+    return e;
+  },
+  /* ranges of regex matches inside each range of 'scope' */
+  matchrangesin: function( text, regex, scope, groups, deadline, filter ) {
+    var ranges = [];
+    for( const r of scope )
+      for( const range of SOT.text.map.matchranges(text.slice(r.start,r.end), regex, groups, deadline, filter) )
+        ranges.push( SOT.text.map._shiftrange(range,r.start) );
+    return ranges;
+  },
+  /* copy of a regex (or regex string) with 'g' flag, for scanning from lastIndex */
+  _scanregex: function( regex ) {
+    if (typeof regex == 'string')
+      return SOT.text.regexstr2regex( regex, 'g' );
+    return new RegExp( regex.source, regex.global ? regex.flags : regex.flags+'g' );
+  },
+  /* scan for regions: earliest 'begin' match wins, region runs through the following 'end' match
+   *   each region's regex's may take up to 'budget' ms in all (0 for no limit), see SOT.PatternSeries.timebudget */
+  regionranges: function( text, regions, budget ) {
+    const ranges = [], begins = [], ends = [], next = [], elapsed = [];
+    function exec( i, regex ) {
+      const start = Date.now(), match = regex.exec( text );
+      elapsed[i] += Date.now() - start;
+      if (budget && elapsed[i] > budget)
+        throw SOT.text.map._budgeterror( regions[i].setname, elapsed[i] );
+      return match;
+    }
+    for( const region of regions ) {
+      ranges.push( [] );
+      elapsed.push( 0 );
+      begins.push( SOT.text.map._scanregex(region.begin) );
+      ends.push( region.end ? SOT.text.map._scanregex(region.end) : null );
+      next.push( undefined );
+    }
+    for( var pos=0; pos<=text.length; ) {
+      /* next begin match of each region at or after pos (null when there are no more) */
+      var k = -1;
+      for( var i=0; i<regions.length; i++ ) {
+        if (next[i] === undefined || (next[i] && next[i].index < pos)) {
+          begins[i].lastIndex = pos;
+          next[i] = exec( i, begins[i] );
+        }
+        if (next[i] && (k < 0 || next[i].index < next[k].index))
+          k = i;
+      }
+      if (k < 0)
+        break;
+      const start = next[k].index;
+      var end = start + next[k][0].length;
+      if (ends[k]) {
+        ends[k].lastIndex = end;
+        const endmatch = exec( k, ends[k] );
+        end = endmatch ? endmatch.index + endmatch[0].length : text.length;
+      }
+      ranges[k].push( {'start':start, 'end':end} );
+      pos = end > start ? end : end + 1;
+    }
+    return ranges;
+  },
+  /* segments that overlap start..end, clipped to it (markers at start or end included, origs are shared) */
+  slice: function( map, start, end ) {
+    const sliced = [];
+    for( const seg of map ) {
+      if (seg.range.start > end)
+        break;
+      if (seg.range.start == seg.range.end ? seg.range.start >= start : seg.range.end > start && seg.range.start < end)
+        sliced.push( SOT.text.map.range.mk(Math.max(seg.range.start,start), Math.min(seg.range.end,end), seg.origs) );
+    }
+    return sliced;
+  },
+  /* original ranges of a set */
+  setranges: function( map, setname ) {
+    const ranges = [], seen = {};
+    for( const seg of map )
+      for( const layer of seg.origs )
+        if (layer.setname == setname && !seen[layer.range.setindex]) {
+          seen[layer.range.setindex] = true;
+          ranges.push( SOT.text.map._matchdata(layer.range,
+                                               {start:layer.range.start, end:layer.range.end, setindex:layer.range.setindex}) );
+        }
+    return ranges.sort( (a,b) => a.start - b.start );
+  },
+  /* sorted, non-overlapping ranges covered by sets */
+  _coverage: function( map, setnames ) {
+    var ranges = [];
+    for( const setname of [].concat(setnames) )
+      ranges = ranges.concat( SOT.text.map.setranges(map,setname) );
+    ranges.sort( (a,b) => a.start - b.start );
+    const merged = [];
+    for( const r of ranges )
+      if (merged.length && r.start <= merged[merged.length-1].end)
+        merged[merged.length-1].end = Math.max( merged[merged.length-1].end, r.end );
+      else
+        merged.push( {start:r.start, end:r.end} );
+    return merged;
+  },
+  /* ranges covered by 'within' sets (whole text if none) minus those covered by 'notwithin' sets */
+  scoperanges: function( text, map=[], within, notwithin ) {
+    var scope = within ? SOT.text.map._coverage( map, within ) : [{start:0, end:text.length}];
+    if (notwithin) {
+      const gaps = [];
+      var n = 0;
+      for( const r of SOT.text.map._coverage(map,notwithin) )
+        gaps.push( {start:n, end:r.start} ), n = r.end;
+      gaps.push( {start:n, end:text.length} );
+      /* (intersect scope with gaps, both are sorted) */
+      const newscope = [];
+      for( var i=0,j=0; i<scope.length && j<gaps.length; ) {
+        const r = {start:Math.max(scope[i].start,gaps[j].start), end:Math.min(scope[i].end,gaps[j].end)};
+        if (r.start < r.end)
+          newscope.push( r );
+        scope[i].end < gaps[j].end ? i++ : j++;
+      }
+      scope = newscope;
+    }
+    return scope;
+  },
+  /* original ranges of each set in map, {setnames: [in order of appearance], ranges: {setname: [ranges by start]}} */
+  _origranges: function( map ) {
+    const setnames = [], ranges = {}, seen = new Set();
+    for( const seg of map )
+      for( const layer of seg.origs ) {
+        if (!ranges[layer.setname])
+          setnames.push( layer.setname ), ranges[layer.setname] = [];
+        if (!seen.has( SOT.text.map.query._key(layer) )) {
+          seen.add( SOT.text.map.query._key(layer) );
+          ranges[layer.setname].push( layer.range );
+        }
+      }
+    for( const setname of setnames )
+      ranges[setname].sort( (a,b) => a.start - b.start || a.end - b.end );
+    return {setnames:SOT.text.map._setorder( map, setnames ), 'ranges':ranges};
+  },
+  /* sets in the order they were layered (a set under another in a segment comes first), 'setnames' breaks ties */
+  _setorder: function( map, setnames ) {
+    const under = {}, order = [];
+    for( const setname of setnames )
+      under[setname] = new Set();
+    for( const seg of map )
+      for( var j=1; j<seg.origs.length; j++ )
+        if (!seg.origs[j].range.marker && !seg.origs[j-1].range.atomic && seg.origs[j].setname != seg.origs[j-1].setname)
+          under[seg.origs[j].setname].add( seg.origs[j-1].setname );
+    for( var remaining = setnames.slice(); remaining.length; ) {
+      /* (the first set with nothing left under it, or the first one if layering is circular) */
+      var k = remaining.findIndex( s => [...under[s]].every(u => order.indexOf(u) >= 0) );
+      order.push( remaining.splice(k < 0 ? 0 : k, 1)[0] );
+    }
+    return order;
+  },
+  /* set of the ranges' positions, for comparing ranges */
+  _rangekeys: function( ranges ) {
+    return new Set( ranges.map( r => r.start + ' ' + r.end ) );
+  },
+  /* ranges split into ordered lists of ranges that don't overlap, for adding in separate passes (addranges takes
+   *   ranges that don't overlap); a range is in a later pass than the ranges that contain it, so it is nested in them */
+  _passes: function( ranges ) {
+    const passes = [];
+    for( const r of ranges.slice().sort( (a,b) => a.start - b.start || b.end - a.end ) ) {
+      const pass = passes.find( pass => pass[pass.length-1].end <= r.start );
+      if (pass)
+        pass.push( r );
+      else
+        passes.push( [r] );
+    }
+    return passes;
+  },
+  /* map of the ranges of each set, sets are layered in order (markers and atomic ranges are added as such) */
+  _buildranges: function( text, setnames, ranges ) {
+    var map = [];
+    for( const setname of setnames ) {
+      const rs = ranges[setname] ? ranges[setname] : [];
+      if (!rs.length)
+        continue;
+      const markers = rs.filter( r => r.marker || r.start == r.end ), atomics = rs.filter( r => r.atomic && r.start < r.end );
+      const others = rs.filter( r => !r.marker && !r.atomic && r.start < r.end );
+      for( const pass of SOT.text.map._passes( others ) )
+        map = SOT.text.map.addranges( text, pass, setname, true, map );
+      if (atomics.length)
+        map = SOT.text.map.addatomicranges( text, atomics, setname, map );
+      if (markers.length)
+        map = SOT.text.map.addmarkers( text, markers, setname, map );
+    }
+    return map;
+  },
+  /* ranges of map1 and map2 (per set) kept by 'keep( inmap1, inmap2 )' */
+  _setop: function( text, map1, map2, keep ) {
+    const o1 = SOT.text.map._origranges( map1 ), o2 = SOT.text.map._origranges( map2 ), ranges = {};
+    const setnames = [...o1.setnames, ...o2.setnames.filter( s => o1.setnames.indexOf(s) < 0 )];
+    for( const setname of setnames ) {
+      const r1 = o1.ranges[setname] ? o1.ranges[setname] : [], r2 = o2.ranges[setname] ? o2.ranges[setname] : [];
+      const keys1 = SOT.text.map._rangekeys( r1 ), keys2 = SOT.text.map._rangekeys( r2 );
+      ranges[setname] = [];
+      for( const r of r1 )
+        if (keep( true, keys2.has(r.start + ' ' + r.end) ))
+          ranges[setname].push( r );
+      for( const r of r2 )
+        if (!keys1.has( r.start + ' ' + r.end ) && keep( false, true ))
+          ranges[setname].push( r );
+      ranges[setname].sort( (a,b) => a.start - b.start || a.end - b.end );
+    }
+    return SOT.text.map._buildranges( text, setnames, ranges );
+  },
+  union: function( text, map1, map2 ) {
+    return SOT.text.map._setop( text, map1, map2, (in1, in2) => in1 || in2 );
+  },
+  intersection: function( text, map1, map2 ) {
+    return SOT.text.map._setop( text, map1, map2, (in1, in2) => in1 && in2 );
+  },
+  difference: function( text, map1, map2 ) {
+    return SOT.text.map._setop( text, map1, map2, (in1, in2) => in1 && !in2 );
+  },
+  /* range of 'oldtext' moved to the text it was edited into (see SOT.text.map.diff) */
+  _moverange: function( r, editrange, delta ) {
+    /* (text inserted where a range starts is before it, where it ends is after it; ends inside the replaced
+     *   text move to the ends of the new text) */
+    function move( pos, isend ) {
+      if (isend ? pos <= editrange.start : pos < editrange.start)
+        return pos;
+      if (pos >= editrange.end)
+        return pos + delta;
+      return isend ? editrange.end + delta : editrange.start;
+    }
+    return Object.assign( {}, r, {start:move( r.start, false ), end:move( r.end, true )} );
+  },
+  diff: function( text, map1, map2, oldtext ) {
+    const o1 = SOT.text.map._origranges( map1 ), o2 = SOT.text.map._origranges( map2 );
+    if (oldtext != undefined && oldtext !== text) {
+      const editrange = SOT.text.diffrange( oldtext, text ), delta = text.length - oldtext.length;
+      for( const setname of o1.setnames )
+        o1.ranges[setname] = o1.ranges[setname].map( r => SOT.text.map._moverange(r, editrange, delta) );
+    }
+    const diff = {added:{}, removed:{}, changed:{}}, diffranges = {};
+    const setnames = [...o1.setnames, ...o2.setnames.filter( s => o1.setnames.indexOf(s) < 0 )];
+    function add( kind, setname, item, r ) {
+      (diff[kind][setname] = diff[kind][setname] ? diff[kind][setname] : []).push( item );
+      const cls = kind + ' ' + setname;
+      (diffranges[cls] = diffranges[cls] ? diffranges[cls] : []).push( r );
+    }
+    for( const setname of setnames ) {
+      const r1 = o1.ranges[setname] ? o1.ranges[setname] : [], r2 = o2.ranges[setname] ? o2.ranges[setname] : [];
+      const keys1 = SOT.text.map._rangekeys( r1 ), keys2 = SOT.text.map._rangekeys( r2 );
+      const unmatched1 = r1.filter( r => !keys2.has(r.start + ' ' + r.end) );
+      const unmatched2 = r2.filter( r => !keys1.has(r.start + ' ' + r.end) );
+      /* (an unmatched range that overlaps one in the other map was changed, the first overlapping one is its pair) */
+      for( const r of unmatched1 ) {
+        const k = unmatched2.findIndex( r2r => r2r.start < r.end && r.start < r2r.end );
+        if (k >= 0) {
+          const to = unmatched2.splice( k, 1 )[0];
+          add( 'changed', setname, {from:r, 'to':to}, to );
+        }
+        else
+          add( 'removed', setname, r, r );
+      }
+      for( const r of unmatched2 )
+        add( 'added', setname, r, r );
+    }
+    const classes = Object.keys( diffranges ).sort( (a,b) => ['removed','changed','added'].indexOf( a.split(' ')[0] ) -
+                                                             ['removed','changed','added'].indexOf( b.split(' ')[0] ) );
+    for( const cls of classes )
+      diffranges[cls].sort( (a,b) => a.start - b.start || a.end - b.end );
+    diff.map = SOT.text.map._buildranges( text, classes, diffranges );
+    return diff;
+  },
+  /* copy capture groups of a match range (see SOT.text.fillmatch) to range 'r' */
+  _matchdata: function( match, r ) {
+    if (match && match.captures) {
+      r.captures = match.captures;
+      if (match.named)
+        r.named = match.named;
+    }
+    if (match && match.data !== undefined)
+      r.data = match.data;
+    return r;
+  },
+  _shiftrange: function( r, delta ) {
+    const shifted = SOT.text.map._matchdata( r, {start:r.start+delta, end:r.end+delta} );
+    if (r.groups)
+      shifted.groups = r.groups.map( g => g ? {start:g.start+delta, end:g.end+delta} : null );
+    return shifted;
+  },
+  /* whether no path of a regex (lookarounds, anchors and \b included) examines two consecutive characters of
+   *   'boundary' (or any of them, for a one character boundary): matches on either side of a boundary then can't
+   *   see past it (see updateranges)
+   *   (conservative, a regex that can't be analyzed isn't confined) */
+  _confined: function( regex, boundary ) {
+    const cached = SOT.text.map._confinedcache.get( regex );
+    if (cached && cached.boundary === boundary)
+      return cached.confined;
+    const confined = SOT.text.map._analyzeconfined( regex, boundary );
+    SOT.text.map._confinedcache.set( regex, {'boundary':boundary, 'confined':confined} );
+    return confined;
+  },
+  _confinedcache: new WeakMap(),
+  _analyzeconfined: function( regex, boundary ) {
+    if (!boundary || regex.unicodeSets)
+      return false;
+    const source = regex.source, flags = regex.flags.replace( /[gyd]/g, '' ), chars = [...new Set( boundary )];
+    var i = 0, seen = false;
+    /* whether a single character token matches a boundary character */
+    function can( token ) {
+      try {
+        const r = new RegExp( '^(?:' + token + ')$', flags );
+        return chars.some( c => r.test(c) );
+      }
+      catch( e ) {
+        return true;
+      }
+    }
+    /* nodes: whether the first (starts) and last (ends) characters examined can be boundary characters, whether
+     *   two consecutive ones can (nn) */
+    function node( nullable, starts, ends, nn ) {
+      seen = seen || starts || ends;
+      return {'nullable':nullable, 'starts':starts, 'ends':ends, 'nn':nn};
+    }
+    function seq( a, b ) {
+      return node( a.nullable && b.nullable, a.starts || (a.nullable && b.starts), b.ends || (b.nullable && a.ends),
+                   a.nn || b.nn || (a.ends && b.starts) );
+    }
+    function alt( a, b ) {
+      return node( a.nullable || b.nullable, a.starts || b.starts, a.ends || b.ends, a.nn || b.nn );
+    }
+    function parsealt() {
+      var n = parseseq();
+      while( source[i] == '|' ) {
+        i++;
+        n = alt( n, parseseq() );
+      }
+      return n;
+    }
+    function parseseq() {
+      var n = node( true, false, false, false );
+      while( i < source.length && source[i] != '|' && source[i] != ')' )
+        n = seq( n, parsequantified() );
+      return n;
+    }
+    function parsequantified() {
+      const a = parseatom();
+      var m, min, max;
+      if ('*+?'.indexOf( source[i] ) >= 0 && i < source.length)
+        min = source[i] == '+' ? 1 : 0, max = source[i] == '?' ? 1 : Infinity, i++;
+      else
+        if ((m = /^\{(\d+)(,(\d*))?\}/.exec( source.slice(i) )))
+          min = +m[1], max = m[2] ? (m[3] ? +m[3] : Infinity) : min, i += m[0].length;
+        else
+          return a;
+      if (source[i] == '?')
+        i++;
+      return node( min == 0 || a.nullable, a.starts, a.ends, a.nn || (max > 1 && a.ends && a.starts) );
+    }
+    function parseatom() {
+      var m, s;
+      if (source[i] == '(') {
+        m = /^\((\?(?::|<?[=!]|<[^>]*>))?/.exec( source.slice(i) );
+        i += m[0].length;
+        const inner = parsealt();
+        if (source[i++] != ')')
+          throw new SyntaxError( 'unbalanced group' );
+        /* (lookarounds are zero width, but examine the characters their pattern matches) */
+        return m[1] && /^\?<?[=!]$/.test( m[1] ) ? node( true, inner.starts, inner.ends, inner.nn ) : inner;
+      }
+      if (source[i] == '[') {
+        var j = i+1;
+        for( ; j < source.length && source[j] != ']'; j++ )
+          if (source[j] == '\\')
+            j++;
+        s = can( source.slice(i, j+1) ), i = j+1;
+        return node( false, s, s, false );
+      }
+      if (source[i] == '\\') {
+        m = /^\\(?:[bB]|[1-9]\d*|k<[^>]*>|c[A-Za-z]|x[0-9A-Fa-f]{2}|u\{[0-9A-Fa-f]+\}|u[0-9A-Fa-f]{4}|[pP]\{[^}]*\}|[\s\S])/
+              .exec( source.slice(i) );
+        i += m[0].length;
+        /* (\b examines the characters on both sides, a backreference matches what its group matched) */
+        if (/^\\(?:[bB1-9]|k<)/.test( m[0] ))
+          return node( true, true, true, false );
+        s = can( m[0] );
+        return node( false, s, s, false );
+      }
+      if (source[i] == '^' || source[i] == '$') {
+        /* (in multiline mode they examine the character before or after) */
+        const end = source[i++] == '$';
+        return node( true, end && regex.multiline, !end && regex.multiline, false );
+      }
+      const c = String.fromCodePoint( source.codePointAt(i) );
+      i += c.length;
+      s = can( c == '.' ? c : c.replace(/[\^$\\.*+?()[\]{}|\/]/g, '\\$&') );
+      return node( false, s, s, false );
+    }
     try {
-      matches = text.matchAll( regex );
+      const n = parsealt();
+      if (i < source.length)
+        return false;
+      return boundary.length > 1 ? !n.nn : !seen;
+    }
+    catch( e ) {
+      return false;
+    }
+  },
+  /* re-match regex in a window around an edit, shift the ranges after it (see SOT.PatternSeries.updatemap)
+   *   (regex's that may see across a boundary, see SOT.text.map._confined, are re-matched over the whole text) */
+  updateranges: function( ranges, oldtext, newtext, regex, editrange, boundary="\n\n", groups, deadline, filter ) {
+    if (!SOT.text.map._confined( regex, boundary ))
+      return SOT.text.map.matchranges( newtext, regex, groups, deadline, filter );
+    const delta = newtext.length - oldtext.length;
+    /* window boundaries lie entirely in unchanged text */
+    var ws = editrange.start - boundary.length;
+    ws = ws < 0 ? 0 : Math.max( 0, newtext.lastIndexOf(boundary, ws) );
+    var we = newtext.indexOf( boundary, editrange.end + delta );
+    we = we < 0 ? newtext.length : we + boundary.length;
+    /* keep ranges before window, resume matching where the regex left off after the last of them */
+    const newranges = [];
+    var j = 0, from = 0;
+    for( ; j < ranges.length && ranges[j].end <= ws; j++ )
+      newranges.push( ranges[j] );
+    if (j)
+      from = SOT.text.advance( newtext, ranges[j-1].start, ranges[j-1].end, regex.unicode || regex.unicodeSets );
+    const r = new RegExp( SOT.text.map._groupsregex(regex,groups) );
+    r.lastIndex = from;
+    for( const match of newtext.matchAll(r) ) {
+      SOT.text.map._checkdeadline( deadline );
+      if (filter && !filter( match, newtext ))
+        continue;
+      const m = SOT.text.map._matchrange( match, groups );
+      /* past the window, matching is back in step when a match is the same as a shifted one */
+      if (m.start >= we) {
+        for( ; j < ranges.length && ranges[j].start + delta < m.start; j++ )
+          ;
+        if (j < ranges.length && ranges[j].start + delta == m.start && ranges[j].end + delta == m.end) {
+          for( ; j < ranges.length; j++ )
+            newranges.push( SOT.text.map._shiftrange(ranges[j],delta) );
+          break;
+        }
+      }
+      newranges.push( m );
+    }
+    SOT.text.map._checkdeadline( deadline );
+    return newranges;
+  },
+  /* add ranges from regex match (or 'match' function) to map */
+  addmatches: function( text, regex, setname, segment, map=[], alertiferror, groups, filter ) {
+    var ranges;
+    try {
+      ranges = SOT.text.map.matchranges( text, regex, groups, 0, filter );
     }
     catch( e ) {
       if (alertiferror)
-        alert( e );
+        SOT.onerror( e );
       return map;
     }
-    /* (optimization: matches are added in a single pass) */
-    for( const match of matches ) {
-      p = SOT.text.map._insertrange( match.index, match.index+match[0].length, setname, map, segment, p );
+    map = SOT.text.map.addranges( text, ranges, setname, segment, map );
+    if (groups && typeof regex != 'function')
+      map = SOT.text.map.addgroupranges( text, ranges, groups, segment, map );
+    return map;
+  },
+  /* add capture group ranges of matchranges, one set per group (in the order of 'groups') */
+  addgroupranges: function( text, ranges, groups, segment, map=[] ) {
+    var k = 0;
+    for( const key in groups ) {
+      const groupranges = [];
+      for( const r of ranges )
+        if (r.groups[k])
+          groupranges.push( r.groups[k] );
+      map = SOT.text.map.addranges( text, groupranges, groups[key], segment, map );
+      k++;
+    }
+    return map;
+  },
+  /* next setindex of a set in map, ranges added to a set that is already in it (a group class that is also the class
+   *   of a def, several groups with the same class..) are numbered after the ones there, so layers stay distinct */
+  _nextsetindex: function( map, setname ) {
+    var next = 0;
+    for( const seg of map )
+      for( const layer of seg.origs )
+        if (layer.setname == setname && layer.range.setindex >= next)
+          next = layer.range.setindex + 1;
+    return next;
+  },
+  /* add ordered ranges to map (clipped around atomic ranges already in it) */
+  addranges: function( text, ranges, setname, segment, map=[] ) {
+    ranges = SOT.text.map.clipranges( ranges, SOT.text.map.atomicranges(map) );
+    var p = {newmap:[],i:0,setindex:SOT.text.map._nextsetindex( map, setname )};
+    /* (optimization: ranges are added in a single pass) */
+    for( const r of ranges ) {
+      p = SOT.text.map._insertrange( r.start, r.end, setname, map, segment, p, r );
       p.setindex++;
     }
     return SOT.text.map._addendranges( map, p );
   },
+  /* add ordered ranges that are never segmented (see 'atomic' in SOT.markup), ranges overlapping atomic ones are dropped */
+  addatomicranges: function( text, ranges, setname, map=[] ) {
+    const atomics = SOT.text.map.atomicranges( map );
+    ranges = ranges.filter( r => !atomics.some(a => r.start < a.end && a.start < r.end) );
+    map = SOT.text.map.addranges( text, ranges, setname, true, map );
+    /* (segments with the new layers are new objects, their origs can be replaced) */
+    for( const seg of map ) {
+      const k = SOT.text.map._markerindex( seg.origs ), layer = seg.origs[k-1];
+      if (layer && layer.setname == setname && !layer.range.atomic)
+        seg.origs = [...SOT.text.map._atomiclayers( seg.origs.slice(0,k) ), ...seg.origs.slice(k)];
+    }
+    for( const seg of map )
+      for( const layer of seg.origs )
+        if (layer.setname == setname)
+          layer.range.atomic = true;
+    return map;
+  },
+  /* add zero-width marker layers at the start of each range (see 'marker' in SOT.markup), markers inside atomic ranges
+   *   are dropped; a marker is nested in the layers that continue across its position and is always the top layer */
+  addmarkers: function( text, ranges, setname, map=[] ) {
+    const positions = SOT.text.map.clipranges( ranges.map( r => SOT.text.map._matchdata(r, {start:r.start, end:r.start}) ),
+                                               SOT.text.map.atomicranges(map) );
+    const newmap = [];
+    var i = 0, seg = map[0], setindex = SOT.text.map._nextsetindex( map, setname );
+    for( const r of positions ) {
+      for( ; seg && seg.range.end <= r.start; seg = map[++i] )
+        newmap.push( seg );
+      var outer = [];
+      if (seg && seg.range.start < r.start) {
+        /* (position is inside a segment, split it) */
+        newmap.push( SOT.text.map.range.mk(seg.range.start, r.start, seg.origs) );
+        outer = seg.origs;
+        seg = SOT.text.map.range.mk( r.start, seg.range.end, seg.origs );
+      }
+      else {
+        /* (position is between segments, layers continued from one into the other enclose the marker) */
+        const prev = newmap[newmap.length-1];
+        if (prev && seg && prev.range.end == r.start && seg.range.start == r.start)
+          outer = seg.origs.filter( layer => prev.origs.some( l => l.setname == layer.setname &&
+                                                                   l.range.setindex == layer.range.setindex ) );
+      }
+      const origs = SOT.text.map.range.neworigs( setname,
+                                                 SOT.text.map._matchdata(r, {start:r.start, end:r.start, 'setindex':setindex++}) );
+      origs[0].range.marker = true;
+      newmap.push( SOT.text.map.range.mk(r.start, r.start, [...outer, ...origs]) );
+    }
+    for( ; seg; seg = map[++i] )
+      newmap.push( seg );
+    return newmap;
+  },
+  /* layers containing the (last) atomic layer first, then the atomic layer, then the partly overlapping ones */
+  _atomiclayers: function( origs ) {
+    const atomic = origs[origs.length-1], a = atomic.range, outer = [], inner = [];
+    for( var i=0; i<origs.length-1; i++ )
+      if (origs[i].range.start <= a.start && origs[i].range.end >= a.end)
+        outer.push( origs[i] );
+      else
+        inner.push( origs[i] );
+    return [...outer, atomic, ...inner];
+  },
+  /* original ranges of the atomic layers in map, ordered by start */
+  atomicranges: function( map ) {
+    const ranges = [];
+    for( const seg of map )
+      for( const layer of seg.origs )
+        if (layer.range.atomic && (!ranges.length || ranges[ranges.length-1] !== layer.range))
+          ranges.push( layer.range );
+    return ranges;
+  },
+  /* ordered ranges with the parts that overlap 'clips' (ordered, non-overlapping ranges) removed */
+  clipranges: function( ranges, clips ) {
+    if (!clips.length)
+      return ranges;
+    const clipped = [];
+    for( const r of ranges ) {
+      var start = r.start;
+      for( const c of clips )
+        if (c.end > start && c.start < r.end) {
+          if (c.start > start)
+            clipped.push( SOT.text.map._matchdata(r, {'start':start, end:c.start}) );
+          start = c.end;
+        }
+      if (start < r.end || (r.start == r.end && start == r.start))
+        clipped.push( start == r.start ? r : SOT.text.map._matchdata(r, {'start':start, end:r.end}) );
+    }
+    return clipped;
+  },
   /* add ranges from regex match to map */
   _X_addmatches: function( text, regex, setname, segment, map=[] ) {
     var p = {newmap:[],i:0,setindex:0};
@@ -639,35 +2953,42 @@ SOT.text.map = {
   addrange: function( text, range, setname, segment, map=[] ) {
     if (range.start > range.end)
       range = {start:range.end, end:range.start};
-    var p = SOT.text.map._insertrange( range.start, range.end, setname, map, segment );
+    var p = SOT.text.map._insertrange( range.start, range.end, setname, map, segment,
+                                       {newmap:[], i:0, setindex:SOT.text.map._nextsetindex( map, setname )} );
     return SOT.text.map._addendranges( map, p );
   },
-  /* replace all ranges, replacewiths={setname:"..", ...} */
-  replaceall: function( text, map, replacewiths ) {
+  /* replace all ranges, replacewiths={setname:"..", ...} (see SOT.text.replacement for opts and function replacers) */
+  replaceall: function( text, map, replacewiths, opts ) {
     if (!map.length)
       return text;
-    var newtext = "", token;
+    var newtext = "", orig;
     for( var i=0,n=0; i<map.length; i++ ) {
       newtext += text.slice( n, map[i].range.start );
-      token = text.substring( map[i].range.start, map[i].range.end );
-      if (map[i].origs.length == 1 &&
-          map[i].origs[0].range.start == map[i].range.start && map[i].origs[0].range.end == map[i].range.end)
-        //newtext += token.replace( SOT.text.str2regex(token,''), replacewiths[map[i].origs[0].setname] );
-        newtext += token.replace( token, replacewiths[map[i].origs[0].setname] );
+      orig = map[i].origs[0];
+      if (map[i].origs.length == 1 && replacewiths[orig.setname] !== undefined &&
+          orig.range.start == map[i].range.start && orig.range.end == map[i].range.end)
+        newtext += SOT.text.replacement( text, orig.range, replacewiths[orig.setname], opts );
       else
-        newtext += token;
+        newtext += text.substring( map[i].range.start, map[i].range.end );
       n = map[i].range.end;
     }
     newtext += text.slice( n );
     return newtext;
   },
   /* replace a range */
-  replace: function( text, map, i, newtext ) {
+  replace: function( text, map, i, newtext, opts ) {
     if (i >= map.length)
       return text;
     var replacewiths = {};
     replacewiths[map[i].origs[0].setname] = newtext;
-    return SOT.text.map.replaceall( text, [map[i]], replacewiths );
+    return SOT.text.map.replaceall( text, [map[i]], replacewiths, opts );
   }
 }
 
+/* stylotron.js loaded as a worker script serves SOT.MapWorker requests */
+if (typeof WorkerGlobalScope == 'function' && self instanceof WorkerGlobalScope)
+  SOT.MapWorker.serve( self );
+
+/* CommonJS export (the global SOT is still defined when loaded with a <script> tag) */
+if (typeof module == 'object' && module.exports)
+  module.exports = SOT;
@@ -0,0 +1,21 @@
+/*
+ * stylotron.mjs: ES module entry point for stylotron.js
+ *
+ *   import SOT from 'stylotron'
+ *   import { markup, markupAsync, PatternSeries, MapWorker, mapworker, map, text, json, lint } from 'stylotron'
+ *
+ * cc0 (public domain) v.010 September 2025, latest version @ github.com/gregsidal
+ */
+import SOT from './stylotron.js';
+
+export const markup = SOT.markup;
+export const markupAsync = SOT.markupAsync;
+export const PatternSeries = SOT.PatternSeries;
+export const MapWorker = SOT.MapWorker;
+export const mapworker = SOT.mapworker;
+export const map = SOT.map;
+export const text = SOT.text;
+export const json = SOT.json;
+export const lint = SOT.lint;
+
+export default SOT;
@@ -39,6 +39,13 @@ UI.StylotronEditor = function( texteditorid, opts={} ) {
   /* attach patterns component */
   this.styler = this.components.add( 'styler', new UI.stylotroneditor.Styler() );
   this.styler.init( this.texteditor );
+  /* report patterns disabled for going over the time budget if indicated, from the first markup on
+   *   (opts.overbudgetcallback, see SOT.PatternSeries setoverbudgetcallback) */
+  if (opts.overbudgetcallback)
+    this.styler.patterns().setoverbudgetcallback( opts.overbudgetcallback );
+  /* build the styler's text map in a worker if indicated (opts.worker = true or a SOT.MapWorker) */
+  if (opts.worker)
+    this.styler.worker( opts.worker );
   /* attach optional selections component */
   if (opts.selections) {
     this.selections = this.components.add( 'selections', new UI.stylotroneditor.Selections() );
@@ -62,6 +69,18 @@ UI.StylotronEditor = function( texteditorid, opts={} ) {
  * An internal SOT.PatternSeries object determines what ranges of text are marked up
  *   to get: patterns = styler.patterns()
  *   regexs and ranges can be added to 'patterns' as described in SOT.PatternSeries comments
+ *
+ * After an edit, the text map is updated incrementally (see SOT.PatternSeries.updatemap)
+ *   to rebuild the full map on every edit instead: styler.incremental( false )
+ *
+ * Markup is built as an HTML string by default
+ *   to build DOM nodes instead (see SOT.map.nodes): styler.nodes( true )
+ *
+ * For large documents, the text map can be built in a Web Worker (see SOT.MapWorker): styler.worker( true )
+ *   (or styler.worker( mapworker ) to use a particular SOT.MapWorker, styler.worker( false ) to turn it off)
+ *   a map is requested 'workerdelay' ms (150 by default) after the last edit, the last markup is kept until it arrives,
+ *     maps of text that has changed since (or built before styler.textmap( true )) are dropped
+ *   styler.textmap() still builds the map on the main thread when it is out of date
  */
 UI.stylotroneditor.Styler = function() {
   this.init = function( texteditor ) {
@@ -74,33 +93,92 @@ UI.stylotroneditor.Styler = function() {
   this.patterns = function() {return _i.patterns};
   /* get text map (map of all regex matches) */
   this.textmap = function( recreate ) {
-    if (recreate || !_i.currenttextmap)
-      _i.currenttextmap = _i.patterns.buildmatchesmap( _i.texteditor.get() );
-    return _i.currenttextmap;
+    if (recreate)
+      _i.currenttextmap = null, _i.mapgen++;
+    return _i.updatetextmap( _i.texteditor.get() );
   }
   this.reset = function() {
     this.textmap( true );
     return _i.texteditor.refresh();
   }
+  /* get or set whether text map is updated incrementally after edits */
+  this.incremental = function( inc ) {
+    if (inc != undefined)
+      _i.incremental = inc;
+    return _i.incremental;
+  }
+  /* get or set whether markup is built as DOM nodes */
+  this.nodes = function( nodes ) {
+    if (nodes != undefined)
+      _i.nodes = nodes;
+    return _i.nodes;
+  }
+  /* get or set the SOT.MapWorker that builds the text map (true for the shared one, false for none) */
+  this.worker = function( worker, workerdelay ) {
+    if (worker != undefined)
+      _i.worker = worker === true ? SOT.mapworker() : worker;
+    if (workerdelay != undefined)
+      _i.workerdelay = workerdelay;
+    return _i.worker;
+  }
   // internals
   var _i = {
-    texteditor: null, profiles: {},
+    texteditor: null, profiles: {}, incremental: true, nodes: false, textmaptext: "",
+    worker: null, workerdelay: 150, workertimer: null, building: false, rebuild: false, mapgen: 0,
     oneditorbeforetextchange: function( e2 ) {
       const ret = _i.prevbeforetextchangecallback( e2 );
-      _i.currenttextmap = null; //_i.patterns.buildmatchesmap( _i.textarea.get() );
+      if (!_i.incremental)
+        _i.currenttextmap = null; //_i.patterns.buildmatchesmap( _i.textarea.get() );
       return ret;
     },
+    /* build text map, or update it if it was built from a previous version of text */
+    updatetextmap: function( text ) {
+      if (!_i.currenttextmap)
+        _i.currenttextmap = _i.patterns.buildmatchesmap( text );
+      else
+        if (text !== _i.textmaptext)
+          _i.currenttextmap = _i.patterns.updatemap( _i.currenttextmap, _i.textmaptext, text );
+      _i.textmaptext = text;
+      return _i.currenttextmap;
+    },
     oneditorstatechange: function( e2 ) {
       var refresh = _i.prevchangecallback( e2 );
       refresh = e2.textchanged || refresh;
       return refresh;
     },
+    /* request a map from the worker once edits pause */
+    requestmap: function() {
+      clearTimeout( _i.workertimer );
+      _i.workertimer = setTimeout( _i.buildmap, _i.workerdelay );
+    },
+    buildmap: function() {
+      if (_i.building)
+        return _i.rebuild = true;
+      const text = _i.texteditor.get(), mapgen = _i.mapgen;
+      _i.building = true, _i.rebuild = false;
+      _i.worker.buildmap( text, _i.patterns ).then( function( map ) {
+        _i.building = false;
+        if (text === _i.texteditor.get() && mapgen == _i.mapgen) {
+          _i.currenttextmap = map, _i.textmaptext = text;
+          _i.texteditor.refresh();
+        }
+        else
+          if (_i.rebuild)
+            _i.buildmap();
+      } );
+    },
     oneditorremarkup: function( text, e2 ) {
       //var HTML = _i.prevremarkupcallback( e2 );
-      if (!_i.currenttextmap)
-        _i.currenttextmap = _i.patterns.buildmatchesmap( text );
-      var fullmap = _i.patterns.buildrangesmap( text, _i.currenttextmap );
-      return _i.patterns.markupmap( text, fullmap );
+      if (_i.worker && (!_i.currenttextmap || text !== _i.textmaptext)) {
+        _i.requestmap();
+        return;
+      }
+      var fullmap = _i.patterns.buildrangesmap( text, _i.updatetextmap(text) );
+      /* (a virtualized editor mounts only the window, see UI.TextEditor.virtual) */
+      const opts = e2.window ? {window:e2.window} : undefined;
+      if (_i.nodes)
+        return _i.patterns.markupmapnodes( text, fullmap, opts );
+      return _i.patterns.markupmap( text, fullmap, opts );
     }
   }
 }
@@ -233,6 +311,7 @@ UI.stylotroneditor.Selections = function() {
  *    search.init( texteditor, texteditorstyler, ids=UI.search.defaultids, classes=UI.search.defaultclasses );
  *
  *  The controls in 'ids' trigger the search/replace functions 
+ *    when the 'groups' checkbox is checked, $&, $1..$99 and $<name> in the replacement refer to the match
  *
  *  CSS class classes.match is applied to text matching search results
  *  classes.current is applied to current match
@@ -252,7 +331,8 @@ UI.stylotroneditor.search = {
       clearbtn:       'search-clearbtn',
       replace:        'search-replace',     //input
       replacebtn:     'search-replacebtn',
-      replaceallbtn:  'search-replaceallbtn'
+      replaceallbtn:  'search-replaceallbtn',
+      groups:         'search-groups'       //checkbox, replace with groups ($&, $1, $<name>)
     },
     classes: {
       match:          'search-match',
@@ -341,7 +421,7 @@ UI.stylotroneditor.Search = function() {
         var text = _i.texteditor.get();
         var replacewiths = {};
         replacewiths[_i.classes.match] = UI.h.get( _i.ids.replace );
-        text = SOT.text.map.replaceall( text, map, replacewiths );
+        text = SOT.text.map.replaceall( text, map, replacewiths, {groups:_i.replacegroups()} );
         _i.texteditor.put( text, {action:'insertFromReplaceAll'} );
       }
     }
@@ -524,6 +604,11 @@ UI.stylotroneditor.Search = function() {
       if (e)
         e.preventDefault();
     },
+    /* replacement text refers to the match's groups (see SOT.text.replacement) */
+    replacegroups: function() {
+      const e = UI.h.el( _i.ids.groups );
+      return e ? e.checked : false;
+    },
     _replace: function( group ) {
       if (group)
         group.more = false;
@@ -543,7 +628,8 @@ UI.stylotroneditor.Search = function() {
             group.more = i < map.length - 1;
             e2.group = group;
           }
-          text = SOT.text.map.replace( text, map, _i.searchset().mapindex, UI.h.get(_i.ids.replace) );
+          text = SOT.text.map.replace( text, map, _i.searchset().mapindex, UI.h.get(_i.ids.replace),
+                                       {groups:_i.replacegroups()} );
           /* calculate replaced text range */
           r = {start:r.start, end:r.end + (text.length - len)};
           /* ready caret to be repositioned to the next match if any */
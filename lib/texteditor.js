@@ -79,7 +79,9 @@ UI.texteditor.Components = function( texteditorid, opts={} ) {
  *
  *   HTML = remarkup( plaintext, e2 )
  *     callback is fired when refreshing,
- *     should mark up 'plaintext' and return the HTML
+ *     should mark up 'plaintext' and return the HTML (only the range 'e2.window' of it, when set, see virtual below)
+ *       (or a DOM node, such as a DocumentFragment from SOT.map.nodes, which replaces the contents of the element)
+ *     when it returns nothing (undefined), the element is left as it is (markup that isn't ready yet keeps the last one)
  *
  *   refresh? = statechanged( e2 )
  *     callback is fired from any event or API call that changes text or moves caret
@@ -140,12 +142,25 @@ UI.texteditor.Components = function( texteditorid, opts={} ) {
  *
  * texteditor.scrollelemintoview( el, opts )
  *   scroll to a marked up element in innerHTML
+ *
+ * texteditor.virtual( v )
+ *   get or set virtualized mode (v = true or {overscan: lines}, false to turn it off), for multi-megabyte texts:
+ *     the plaintext is kept in memory and only the lines around the viewport ('overscan' lines above and below it)
+ *       are marked up and mounted, the element's padding stands in for the other lines to keep the scrollbar accurate
+ *     the remarkup callback gets the full plaintext and 'e2.window' = {start: .., end: ..}, the range to mark up
+ *       (see SOT.map.markup opts.window)
+ *     positions (selections, get/put/insert) are absolute in the plaintext as usual; setting the selection mounts it
+ *     (selections, and edits, are limited to the mounted lines)
+ *   can also be set with opts.virtual on init
  */
 UI.texteditor.defaultopts = {
   ids: {
     wraptoggle: 'texteditor-wraptoggle',
     zoominbtn:  'texteditor-zoominbtn',
     zoomoutbtn: 'texteditor-zoomoutbtn'
+  },
+  virtual: {
+    overscan:   100
   }
 };
 UI.TextEditor = function() {
@@ -155,7 +170,7 @@ UI.TextEditor = function() {
       return e2.textchanged;
     }
     function defaultremarkupcallback( plaintext, e2 ) {
-      return UI.h.text2html( plaintext );
+      return UI.h.text2html( e2.window ? plaintext.slice(e2.window.start, e2.window.end) : plaintext );
     }
     _i.textarea = UI.h.el( texteditorid );
     this.setproperty( 'contentEditable', "plaintext-only", "true" );
@@ -171,6 +186,8 @@ UI.TextEditor = function() {
     _i.textarea.addEventListener( "click", _i.onclick );
     this.changed( false );
     this.initctls( opts );
+    if (opts && opts.virtual)
+      this.virtual( opts.virtual );
   }
   this.initctls = function( opts=UI.texteditor.defaultopts ) {
     _i.ids = opts.ids ? opts.ids : UI.texteditor.defaultopts.ids;
@@ -201,7 +218,7 @@ UI.TextEditor = function() {
   }
   /* get editor HTML element; get plaintext of element */
   this.el = this.tel = function() {return _i.textarea;}
-  this.get = function() {return _i.textarea.innerText;}
+  this.get = function() {return _i.virtual ? _i.virtual.text : _i.textarea.innerText;}
   this.changed = function( setto ) {
     if (setto != undefined)
       _i.changed = setto;
@@ -217,6 +234,12 @@ UI.TextEditor = function() {
   this.zoom = function( incr = 1 ) {
     _i.zoom( incr );
   }
+  /* get or set virtualized mode */
+  this.virtual = function( v ) {
+    if (v != undefined)
+      _i.setvirtual( v );
+    return !!_i.virtual;
+  }
   /* get or set wrap mode */
   this.wrap = function( w ) {
     if (w == undefined)
@@ -230,7 +253,8 @@ UI.TextEditor = function() {
   this.put = function( newtext, e2={action:"insertFromPut"}, selrange={start:0,end:0} ) {
     _i.textwillchg( e2 );
     var text = this.get();
-    _i.textarea.innerText = newtext;
+    _i.settext( newtext );
+    _i.vreveal();
     _i.textchg( e2, selrange );
     if (selrange.end == 0)
       _i.textarea.scrollLeft = 0, _i.textarea.scrollTop = 0;
@@ -244,7 +268,8 @@ UI.TextEditor = function() {
     var len = text.length;
     text = text.substring(0,range.start) + pastetext + text.substring(range.end);
     range = {start:range.start, end:range.end + (text.length - len)};
-    _i.textarea.innerText = text;
+    _i.settext( text );
+    _i.vreveal();
     e2.insertedrange = range;
     _i.textchg( e2, select ? range : {start:range.end, end:range.end} );
     return range;
@@ -254,6 +279,7 @@ UI.TextEditor = function() {
   this.getcaretpos = function() {return _i.getcaretpos();}
   /* set caret/selection (may fire 'onstatechange' callback) */
   this.setselrange = function( r, e2={action:'selchangeFromReset'} ) {
+    _i.vreveal();
     return _i.resetselrange( e2, r );
   }
   /* set caret (may cause 'onstatechange' callback to be fired) */
@@ -292,6 +318,7 @@ UI.TextEditor = function() {
   /* focus and set caret/selection */
   this.focusto = function( e2={action:"focusTo"}, selrange=this.getselrange() ) {
     _i.focused = true;
+    _i.vreveal();
     if (!_i.resetselrange( e2, selrange ))
       _i.hardsetselrange();
     _i.textarea.focus();
@@ -304,11 +331,16 @@ UI.TextEditor = function() {
       const curw = _i.textarea.style['white-space'] == 'pre-wrap';
       if (w == undefined)
         w = !curw;
-      if (w != curw)
+      if (w != curw) {
         _i.textarea.style['white-space'] = w ? 'pre-wrap' : 'pre';
+        if (_i.virtual)
+          _i.vpad();
+      }
     },
     zoom: function( incr = 1 ) {
       UI.h.zoom( incr, _i.textarea );
+      if (_i.virtual)
+        _i.vpad();
     },
     zoomin: function( e ) {
       _i.zoom( 1 );
@@ -329,8 +361,15 @@ UI.TextEditor = function() {
     getcaretpos: function() {
       return _i.getselrange().end;
     },
+    /* selection in the element as plaintext positions (undefined when it isn't in the element) */
+    domselrange: function() {
+      const r = UI.h.getabsselrange( _i.textarea );
+      if (r && _i.virtual)
+        return {start:r.start+_i.virtual.window.start, end:r.end+_i.virtual.window.start};
+      return r;
+    },
     getabsselrange: function() {
-      var r = UI.h.getabsselrange( _i.textarea );
+      var r = _i.domselrange();
       if (!r)
         r = _i.selrange;
       return r;
@@ -342,7 +381,14 @@ UI.TextEditor = function() {
     },
     hardsetselrange: function() {
       if (_i.focused) {
-        UI.h.setabsselrange( _i.selrange, _i.textarea );
+        var r = _i.selrange;
+        if (_i.virtual) {
+          /* (a selection outside the mounted lines stays where it is) */
+          if (!_i.vinside( r.start ) || !_i.vinside( r.end ))
+            return;
+          r = {start:r.start-_i.virtual.window.start, end:r.end-_i.virtual.window.start};
+        }
+        UI.h.setabsselrange( r, _i.textarea );
         _i.conlog( {f:"hardsetselrange", start:_i.selrange.start, end:_i.selrange.end}, 4 );
       }
     },
@@ -354,6 +400,9 @@ UI.TextEditor = function() {
       e2.selrange = r;
       e2.focused = _i.focused;
       var refreshed = _i.callbacks.statechanged( e2 );
+      /* (a selection set outside the mounted lines is mounted) */
+      if (!refreshed && _i.virtual && _i.virtual.reveal && !_i.vinside( _i.selrange.end ))
+        refreshed = true;
       if (refreshed)
         _i.remarkup( e2 );
       _i.conlog( {f:"resetselrange", 'e2':e2, 'refreshed':refreshed}, 3 );
@@ -363,9 +412,14 @@ UI.TextEditor = function() {
     onscroll: function() {
       _i.conlog( {f:"onscroll"}, 1 );
       _i.scroll = {left:_i.textarea.scrollLeft, top:_i.textarea.scrollTop};
+      if (_i.virtual) {
+        _i.virtual.reveal = false;
+        if (!_i.vcovers( _i.virtual.window ))
+          _i.remarkup( {action:'scroll'} );
+      }
     },
     onfocus: function( e ) {
-      var r = UI.h.getabsselrange( _i.textarea );
+      var r = _i.domselrange();
       _i.conlog( {f:"onfocus", 'start':r?r.start:'undef', 'end':r?r.end:'undef', 'e':e}, 4 );
       /* (the assumption is that if the user has scrolled that's what they wanted to do) */
       _i.textarea.scrollLeft = _i.scroll.left, _i.textarea.scrollTop = _i.scroll.top;
@@ -376,7 +430,7 @@ UI.TextEditor = function() {
       _i.resetselrange( {action:'blur'} );
     },
     onselect: function( e ) {
-      var r = UI.h.getabsselrange( _i.textarea );
+      var r = _i.domselrange();
       if (r) {
         var restoresel, e2 = {action:'selchangeFromSelect', event:e};
         _i.conlog( {f:"onselect", 'start':r.start, 'end':r.end, 'e':e}, 6 );
@@ -406,6 +460,8 @@ UI.TextEditor = function() {
     },
     oninput: function( e ) {
       _i.conlog( {f:"oninput"}, 1 );
+      if (_i.virtual)
+        _i.vsync();
       _i.textchg( {action:e.inputType, inputType:e.inputType, event:e} );
     },
     onclick: function( e ) {
@@ -426,11 +482,148 @@ UI.TextEditor = function() {
     remarkup: function( e2 ) {
       _i.conlog( {f:"remarkup", 'action':e2.action, 'e2':e2}, 4 );
       _i.conlog( {f:"remarkup 1", innerText:_i.textarea.innerText}, 3 );
-      if (_i.callbacks.remarkup)
-        _i.textarea.innerHTML = _i.callbacks.remarkup( _i.textarea.innerText, e2 );
+      var plaintext = _i.textarea.innerText, prevwindow;
+      if (_i.virtual) {
+        prevwindow = _i.virtual.window;
+        e2.window = _i.vwindow();
+        plaintext = _i.virtual.text;
+      }
+      if (_i.callbacks.remarkup) {
+        var markup = _i.callbacks.remarkup( plaintext, e2 );
+        /* (the element can't be left as it is when other lines are mounted) */
+        if (markup === undefined && _i.virtual && e2.window !== prevwindow)
+          markup = UI.h.text2html( plaintext.slice(e2.window.start, e2.window.end) );
+        if (typeof markup == 'string')
+          _i.textarea.innerHTML = markup;
+        else
+          if (markup !== undefined)
+            _i.textarea.replaceChildren( markup );
+      }
+      if (_i.virtual)
+        _i.vpad();
       _i.hardsetselrange();
       _i.conlog( {f:"remarkup 2", innerText:_i.textarea.innerText, innerHTML:_i.textarea.innerHTML}, 3 );
     },
+    /* replace the plaintext (in virtual mode, the lines to mount are picked by the next remarkup) */
+    settext: function( text ) {
+      if (_i.virtual) {
+        _i.virtual.text = text, _i.virtual.lines = null;
+        _i.virtual.window = _i.vwindow();
+        _i.textarea.innerText = text.slice( _i.virtual.window.start, _i.virtual.window.end );
+      }
+      else
+        _i.textarea.innerText = text;
+    },
+    /*
+     * virtualized mode: _i.virtual = {text, lines (line start positions), window (mounted range), lineheight, ..}
+     *   the mounted range runs from the start of a line to the end of a line (not including its line feed),
+     *   line k is placed at about padding.top + k*lineheight (lineheight is the average of the mounted lines)
+     */
+    virtual: null,
+    setvirtual: function( v ) {
+      if (v && !_i.virtual) {
+        const cs = getComputedStyle( _i.textarea );
+        const lineheight = parseFloat( cs.lineHeight ) || parseFloat( cs.fontSize ) * 1.2 || 16;
+        _i.virtual = {text:_i.textarea.innerText, lines:null, window:null, reveal:false, 'lineheight':lineheight,
+                      overscan:v.overscan ? v.overscan : UI.texteditor.defaultopts.virtual.overscan,
+                      padding:{top:parseFloat( cs.paddingTop ) || 0, bottom:parseFloat( cs.paddingBottom ) || 0},
+                      style:{paddingTop:_i.textarea.style.paddingTop, paddingBottom:_i.textarea.style.paddingBottom,
+                             overflowAnchor:_i.textarea.style.overflowAnchor}};
+        _i.textarea.style.overflowAnchor = 'none';
+        _i.remarkup( {action:'refresh'} );
+      }
+      else
+        if (!v && _i.virtual) {
+          const text = _i.virtual.text;
+          Object.assign( _i.textarea.style, _i.virtual.style );
+          _i.virtual = null;
+          _i.textarea.innerText = text;
+          _i.remarkup( {action:'refresh'} );
+        }
+    },
+    /* the next remarkup mounts the caret (API calls that set the text or selection) */
+    vreveal: function() {
+      if (_i.virtual)
+        _i.virtual.reveal = true;
+    },
+    vlines: function() {
+      if (!_i.virtual.lines) {
+        const text = _i.virtual.text, lines = [0];
+        for( var i=text.indexOf( '\n' ); i>=0; i=text.indexOf( '\n', i+1 ) )
+          lines.push( i+1 );
+        _i.virtual.lines = lines;
+      }
+      return _i.virtual.lines;
+    },
+    /* line of a position */
+    vlineof: function( pos ) {
+      const lines = _i.vlines();
+      var lo = 0, hi = lines.length - 1;
+      while( lo < hi ) {
+        const mid = (lo + hi + 1) >> 1;
+        if (lines[mid] <= pos)
+          lo = mid;
+        else
+          hi = mid - 1;
+      }
+      return lo;
+    },
+    vinside: function( pos ) {
+      const w = _i.virtual.window;
+      return w && pos >= w.start && pos <= w.end;
+    },
+    /* lines in the viewport, {first: .., last: ..} */
+    vviewport: function() {
+      const v = _i.virtual, n = _i.vlines().length;
+      const first = Math.floor( (_i.textarea.scrollTop - v.padding.top) / v.lineheight );
+      const visible = Math.ceil( _i.textarea.clientHeight / v.lineheight );
+      return {first:Math.max( 0, Math.min(n-1, first) ), last:Math.max( 0, Math.min(n-1, first+visible) )};
+    },
+    /* whether the mounted range covers the viewport (with a margin of a quarter of 'overscan' lines) */
+    vcovers: function( w ) {
+      const v = _i.virtual, n = _i.vlines().length;
+      if (!w || w.end > v.text.length)
+        return false;
+      const vp = _i.vviewport(), margin = Math.floor( v.overscan / 4 );
+      const a = _i.vlineof( w.start ), b = _i.vlineof( w.end );
+      return (a == 0 || vp.first - margin >= a) && (b == n-1 || vp.last + margin <= b);
+    },
+    /* range to mount: the current one while it covers the viewport, else the lines around the viewport
+     *   (when revealing the caret, the viewport is first scrolled to it if it isn't mounted) */
+    vwindow: function() {
+      const v = _i.virtual, lines = _i.vlines();
+      if (v.reveal) {
+        v.reveal = false;
+        if (!_i.vinside( _i.selrange.end ))
+          _i.textarea.scrollTop = Math.max( 0, v.padding.top + _i.vlineof(_i.selrange.end) * v.lineheight -
+                                               _i.textarea.clientHeight / 2 );
+      }
+      if (!_i.vcovers( v.window )) {
+        const vp = _i.vviewport();
+        const a = Math.max( 0, vp.first - v.overscan ), b = Math.min( lines.length-1, vp.last + v.overscan );
+        v.window = {start:lines[a], end:b < lines.length-1 ? lines[b+1]-1 : v.text.length};
+      }
+      return v.window;
+    },
+    /* measure the mounted lines, and pad the element for the others */
+    vpad: function() {
+      const v = _i.virtual, n = _i.vlines().length;
+      const a = _i.vlineof( v.window.start ), b = _i.vlineof( v.window.end );
+      const r = document.createRange();
+      r.selectNodeContents( _i.textarea );
+      const height = r.getBoundingClientRect().height;
+      if (height > 0)
+        v.lineheight = height / (b - a + 1);
+      _i.textarea.style.paddingTop = (v.padding.top + a * v.lineheight) + "px";
+      _i.textarea.style.paddingBottom = (v.padding.bottom + (n-1 - b) * v.lineheight) + "px";
+    },
+    /* take in an edit of the mounted lines */
+    vsync: function() {
+      const v = _i.virtual, mounted = _i.textarea.innerText;
+      v.text = v.text.slice( 0, v.window.start ) + mounted + v.text.slice( v.window.end );
+      v.window = {start:v.window.start, end:v.window.start + mounted.length};
+      v.lines = null;
+    },
     conmsg: false,
     conmsggroup: 6,
     conlog: function( msg, group ) {
@@ -605,6 +798,7 @@ UI.texteditor.UndoRedo = function() {
  *    search.init( texteditor, ids=UI.search.defaultids );
  *
  *  The controls in 'ids' trigger the search/replace functions
+ *    when the 'groups' checkbox is checked, $&, $1 and $<name> in the replacement refer to the match
  */
 UI.texteditor.search = {
   defaultopts: {
@@ -614,7 +808,8 @@ UI.texteditor.search = {
       nextbtn:        'search-nextbtn',
       replace:        'search-replace',     //input
       replacebtn:     'search-replacebtn',
-      replaceallbtn:  'search-replaceallbtn'
+      replaceallbtn:  'search-replaceallbtn',
+      groups:         'search-groups'       //checkbox, replace with groups ($&, $1, $<name>)
     },
     classes: {
       current:        'search-current'
@@ -674,13 +869,15 @@ UI.texteditor.Search = function() {
     },
     onremarkup: function( plaintext, e2 ) {
       var html;
-      const sr = _i.texteditor.getselrange( true );
-      if (sr.start != sr.end && !e2.focused) {
-        html = UI.h.text2html( plaintext.substring(0,sr.start) ) + 
+      const w = e2.window ? e2.window : {start:0, end:plaintext.length};
+      var sr = _i.texteditor.getselrange( true );
+      sr = {start:Math.max( sr.start, w.start ), end:Math.min( sr.end, w.end )};
+      if (sr.start < sr.end && !e2.focused) {
+        html = UI.h.text2html( plaintext.substring(w.start,sr.start) ) + 
                "<mark class='" + _i.classes.current + "'>" + 
                UI.h.text2html( plaintext.substring(sr.start,sr.end) ) +
                "</mark>" + 
-               UI.h.text2html( plaintext.substring(sr.end) );
+               UI.h.text2html( plaintext.substring(sr.end,w.end) );
       }
       else
         html = _i.prevremarkupcallback( plaintext, e2 );
@@ -741,13 +938,23 @@ UI.texteditor.Search = function() {
       regexstr = regexstr.replace( /[-\/\\^$*+?.()|[\]{}]/g, '\\$&' );
       return new RegExp( regexstr, flags );
     },
-    pastetext: function( text, range, replacewith ) {
-      var newtext = text.slice( 0, range.start );
-      var token = text.substring( range.start, range.end );
-      //newtext += token.replace( str2regex(token,''), replacewith );
-      newtext += token.replace( token, replacewith );
-      newtext += text.slice( range.end );
-      return newtext;
+    /* replacement text refers to the match's groups */
+    replacegroups: function() {
+      const e = UI.h.el( _i.ids.groups );
+      return e ? e.checked : false;
+    },
+    pastetext: function( text, range, replacewith, groups ) {
+      if (groups) {
+        /* re-match at the range (sticky, so lookarounds still see the whole text) and let the regex expand it */
+        const regex = new RegExp( UI.h.get(_i.ids.find), _i.regexflags.replace(/[gy]/g,'') + 'y' );
+        regex.lastIndex = range.start;
+        const match = regex.exec( text );
+        if (match && match.index + match[0].length == range.end) {
+          regex.lastIndex = range.start;
+          return text.replace( regex, replacewith );
+        }
+      }
+      return text.slice( 0, range.start ) + replacewith + text.slice( range.end );
     },
     _replace: function( group ) {
       var sr = _i.texteditor.getselrange( true );
@@ -760,7 +967,7 @@ UI.texteditor.Search = function() {
         var e2 = {action:'insertFromReplace'};
         var text = _i.texteditor.get();
         var len = text.length;
-        text = _i.pastetext( text, sr, UI.h.get(_i.ids.replace) );
+        text = _i.pastetext( text, sr, UI.h.get(_i.ids.replace), _i.replacegroups() );
         sr = {start:sr.start, end:sr.end + (text.length - len)};
         var newpos = sr.end;
         sr = _i.nextrange( newpos, text );
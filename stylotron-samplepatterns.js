@@ -6,13 +6,17 @@
  * Pattern series must be in 'UserDocument' namespace to be visible to IDE
  * Functions and other javascript can also be added to UserDocument
  * Patterns without g flag in regex are ignored
+ * A pattern series can also be written in JSON (see SOT.json), Patterns view loads JSON without running it
  *
- * Patterns that will mark up as images, form controls, etc. must be high enough in the pattern order to 
- * prevent them from being segmented
+ * Patterns that will mark up as images, form controls, etc. should be atomic (atomic: true) to
+ * prevent them from being segmented; a control made of several patterns (a label around an input)
+ * can't be atomic, since later patterns are clipped around atomic ranges, so its patterns must be
+ * high enough in the pattern order to prevent them from being segmented
  *
  * Regexs can be tested and optimized using search in Plaintext view
  *   shape of match's endcaps will reveal whether line feeds at match's beginning or end are captured by regex
  *   the browser may timeout when iterating through the matches of some poorly designed regex's
+ * Patterns that take longer than a second to match are disabled (see SOT.PatternSeries timebudget)
  */
 UserDocument.patternseries = {
   /* 
@@ -37,10 +41,10 @@ UserDocument.patternseries = {
    * while editing (the default CSS causes the tags to disappear when .FOLDED;
    * controls in real world apps would usually use specialized patterns)
    */
-  button:                  {regex: /(?<=_#).+?(?=#_)/g, htmltag: 'button',
+  button:                  {regex: /(?<=_#).+?(?=#_)/g, htmltag: 'button', atomic: true,
                             htmlattrs: {id: "$_&", onclick: 'UserDocument.buttononclick(this)'}},
-  inputcontainer:          {regex: /_\$.+?\$_/g, htmltag: 'label',
-                            htmlattrs: {id: /(?<=_\$).+?(?=\$_)/g}},
+  inputcontainer:          {regex: /_\$(.+?)\$_/g, htmltag: 'label',
+                            htmlattrs: {id: "$1"}},
   input:                   {regex: /(?<=_\$.+?)\$_/g, htmltag: 'input', htmltagend: '',
                             htmlattrs: {type: 'text', onchange: 'UserDocument.inputonchange(this)'}},
   /*
@@ -61,10 +65,11 @@ UserDocument.patternseries = {
                             htmlattrs: {href: "$_&", target: "_blank", tooltip: "view source"}},
   /*
    * patterns that allow italics (_`...`_), bold (_"..."_) and footnote refs (^num) to be
-   * added inline while editing (the default CSS causes the tags to disappear when .FOLDED)
+   * added inline while editing (the default CSS causes the tags to disappear when .FOLDED,
+   * 'display' removes them from static markup, see SOT.markup)
    */
-  'tag inline':            /_`|`_|_"|"_|_#|#_|_\$|\$_|_@|@_/g,
-  'tag inline footref':    /\^(?=\d)/g,
+  'tag inline':            {regex: /_`|`_|_"|"_|_#|#_|_\$|\$_|_@|@_/g, display: ""},
+  'tag inline footref':    {regex: /\^(?=\d)/g, display: ""},
   italic:                  /(?<=_`).*?(?=`_)/g,
   bold:                    /(?<=_").*?(?="_)/g,
   /*